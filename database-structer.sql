@@ -4,6 +4,9 @@
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Enable GiST indexes on plain columns, used by the venue booking constraint
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
 -- Create ENUM types for better data integrity
 CREATE TYPE user_role AS ENUM ('admin', 'chef_departement', 'membre');
 CREATE TYPE department_name AS ENUM ('it', 'events', 'social-media', 'design', 'extern');
@@ -30,32 +33,161 @@ CREATE TABLE users (
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    last_login TIMESTAMP WITH TIME ZONE
+    last_login TIMESTAMP WITH TIME ZONE,
+    calendar_token_hash VARCHAR(64) UNIQUE -- secret token of the private calendar feed
+);
+
+-- Refresh tokens (rotated on every use; tokens issued from the same login share a family)
+CREATE TABLE refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    family_id UUID NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    replaced_by UUID REFERENCES refresh_tokens(id),
+    user_agent VARCHAR(255),
+    ip_address VARCHAR(45),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Recruitment campaigns (applications are only accepted while a campaign is open)
+CREATE TABLE recruitment_campaigns (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    department_quotas JSONB DEFAULT '{}', -- seats per department, e.g. {"it": 10}
+    questions JSONB DEFAULT '[]', -- extra form questions, validated on submission
+    created_by UUID REFERENCES users(id) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (ends_at > starts_at)
 );
 
--- Join club applications table
+-- Join club applications table (leads are event guests recorded as prospects,
+-- they have not applied yet and only carry contact details)
 CREATE TABLE join_applications (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     first_name VARCHAR(100) NOT NULL,
     last_name VARCHAR(100) NOT NULL,
     email VARCHAR(255) NOT NULL,
-    phone VARCHAR(20) NOT NULL,
+    phone VARCHAR(20),
     telegram_id VARCHAR(100),
     discord_id VARCHAR(100),
     home_address TEXT,
-    academic_year VARCHAR(20) NOT NULL,
-    field_of_study VARCHAR(100) NOT NULL,
-    preferred_department department_name NOT NULL,
+    student_id VARCHAR(50),
+    academic_year VARCHAR(20),
+    field_of_study VARCHAR(100),
+    preferred_department department_name,
     secondary_department department_name,
     skills TEXT,
-    motivation TEXT NOT NULL,
-    status VARCHAR(20) DEFAULT 'pending', -- pending, approved, rejected
+    motivation TEXT,
+    campaign_id UUID REFERENCES recruitment_campaigns(id),
+    answers JSONB DEFAULT '{}', -- answers to the campaign's questions
+    status VARCHAR(20) DEFAULT 'pending', -- lead, pending, approved, rejected, withdrawn
+    stage VARCHAR(20) DEFAULT 'screening', -- screening, interview, deliberation, decision
+    tracking_token_hash VARCHAR(64) UNIQUE, -- private status page token given to the applicant
     reviewed_by UUID REFERENCES users(id),
     reviewed_at TIMESTAMP WITH TIME ZONE,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- member account provisioned on approval
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK (status = 'lead' OR (phone IS NOT NULL AND academic_year IS NOT NULL AND field_of_study IS NOT NULL
+        AND preferred_department IS NOT NULL AND motivation IS NOT NULL))
+);
+
+-- Timeline of a join application, shown to the applicant on the tracking page
+CREATE TABLE application_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    application_id UUID REFERENCES join_applications(id) ON DELETE CASCADE NOT NULL,
+    type VARCHAR(50) NOT NULL, -- lead_created, submitted, stage_changed, interview_scheduled, interview_updated, status_changed, withdrawn, contact_updated
+    details JSONB DEFAULT '{}',
+    actor_id UUID REFERENCES users(id), -- NULL when the applicant acted
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Reviewer scores for join applications (one review per reviewer and pipeline stage)
+CREATE TABLE application_reviews (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    application_id UUID REFERENCES join_applications(id) ON DELETE CASCADE NOT NULL,
+    reviewer_id UUID REFERENCES users(id) NOT NULL,
+    stage VARCHAR(20) NOT NULL, -- screening, interview, deliberation
+    department department_name, -- department the reviewer scored for
+    scores JSONB NOT NULL,
+    total_score NUMERIC(4,2) NOT NULL,
+    comment TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(application_id, reviewer_id, stage)
+);
+
+-- Interview slots for join applications
+CREATE TABLE interview_slots (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    application_id UUID REFERENCES join_applications(id) ON DELETE CASCADE NOT NULL,
+    interviewer_id UUID REFERENCES users(id) NOT NULL,
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    duration_minutes INTEGER DEFAULT 30 CHECK (duration_minutes > 0),
+    location VARCHAR(255),
+    status VARCHAR(20) DEFAULT 'scheduled', -- scheduled, completed, cancelled, no_show
+    notes TEXT,
+    created_by UUID REFERENCES users(id) NOT NULL,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- One-time invitations for new members to set their password
+CREATE TABLE user_invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    token_hash VARCHAR(64) UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Venues events can be booked into
+CREATE TABLE venues (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(150) UNIQUE NOT NULL,
+    capacity INTEGER NOT NULL CHECK (capacity > 0),
+    address VARCHAR(255),
+    description TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Recurring event series (the template and rule that generate events rows)
+CREATE TABLE event_series (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    title VARCHAR(255) NOT NULL,
+    description TEXT NOT NULL,
+    event_time VARCHAR(10) NOT NULL,
+    duration_minutes INTEGER,
+    location VARCHAR(255) NOT NULL,
+    venue_id UUID REFERENCES venues(id),
+    max_attendees INTEGER,
+    category VARCHAR(100) NOT NULL,
+    difficulty VARCHAR(50),
+    image_url VARCHAR(500),
+    department department_name,
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'monthly')),
+    repeat_interval INTEGER NOT NULL DEFAULT 1 CHECK (repeat_interval > 0),
+    start_date DATE NOT NULL,
+    until_date DATE,
+    occurrence_count INTEGER,
+    exception_dates DATE[] NOT NULL DEFAULT '{}',
+    is_active BOOLEAN DEFAULT false, -- whether generated occurrences are published
+    created_by UUID REFERENCES users(id) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CHECK ((until_date IS NULL) <> (occurrence_count IS NULL))
+);
+
 -- Events table
 CREATE TABLE events (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -63,29 +195,121 @@ CREATE TABLE events (
     description TEXT NOT NULL,
     event_date TIMESTAMP WITH TIME ZONE NOT NULL,
     event_time VARCHAR(10) NOT NULL,
+    duration_minutes INTEGER, -- NULL means the default duration
     location VARCHAR(255) NOT NULL,
+    venue_id UUID REFERENCES venues(id),
     max_attendees INTEGER,
     current_attendees INTEGER DEFAULT 0,
     category VARCHAR(100) NOT NULL,
     difficulty VARCHAR(50),
     image_url VARCHAR(500),
+    image_thumbnail_url VARCHAR(500),
+    image_storage_keys TEXT[] NOT NULL DEFAULT '{}', -- uploaded files backing the image, removed with the event
     status event_status DEFAULT 'draft',
     is_active BOOLEAN DEFAULT false,
-    activation_date TIMESTAMP WITH TIME ZONE,
+    activation_date TIMESTAMP WITH TIME ZONE, -- drafts are published automatically at this time
+    registration_open BOOLEAN DEFAULT true, -- closed automatically shortly before the start
     created_by UUID REFERENCES users(id) NOT NULL,
     department department_name,
+    series_id UUID REFERENCES event_series(id) ON DELETE SET NULL,
+    series_date DATE, -- occurrence day within the series
+    is_series_exception BOOLEAN DEFAULT false, -- edited on its own, series edits leave it alone
+    booked_during TSTZRANGE, -- start to end of the event, kept by set_event_booked_during()
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(series_id, series_date),
+    -- A venue holds one event at a time, however many requests book it at once
+    CONSTRAINT events_venue_not_double_booked EXCLUDE USING gist (venue_id WITH =, booked_during WITH &&)
+        WHERE (venue_id IS NOT NULL AND status <> 'cancelled')
 );
 
 -- Event registrations table
 CREATE TABLE event_registrations (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     event_id UUID REFERENCES events(id) ON DELETE CASCADE,
-    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE, -- NULL for guests
+    guest_first_name VARCHAR(100),
+    guest_last_name VARCHAR(100),
+    guest_email VARCHAR(255),
+    guest_student_id VARCHAR(50),
+    guest_token_hash VARCHAR(64) UNIQUE, -- secret link emailed to the guest to confirm and manage the registration
+    guest_token_expires_at TIMESTAMP WITH TIME ZONE, -- until when a pending registration can be confirmed
+    confirmed_at TIMESTAMP WITH TIME ZONE,
+    lead_application_id UUID REFERENCES join_applications(id) ON DELETE SET NULL, -- lead created from the guest
     registration_date TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    status VARCHAR(20) DEFAULT 'registered', -- registered, attended, cancelled
-    UNIQUE(event_id, user_id)
+    status VARCHAR(20) DEFAULT 'registered', -- pending (guest awaiting email confirmation), registered, waitlisted, attended, cancelled
+    waitlist_position INTEGER, -- order on the waitlist, NULL unless waitlisted
+    checked_in_at TIMESTAMP WITH TIME ZONE,
+    checked_in_by UUID REFERENCES users(id),
+    is_walk_in BOOLEAN DEFAULT false, -- checked in on site without registering first
+    reschedule_response VARCHAR(20), -- pending, confirmed or released after the event was moved
+    UNIQUE(event_id, user_id),
+    UNIQUE(event_id, guest_email),
+    CHECK (user_id IS NOT NULL OR (guest_first_name IS NOT NULL AND guest_last_name IS NOT NULL AND guest_email IS NOT NULL))
+);
+
+-- Cancellations and reschedules of events, with the reason given
+CREATE TABLE event_changes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID REFERENCES events(id) ON DELETE CASCADE NOT NULL,
+    change_type VARCHAR(20) NOT NULL CHECK (change_type IN ('cancelled', 'rescheduled')),
+    reason TEXT NOT NULL,
+    previous_date TIMESTAMP WITH TIME ZONE,
+    previous_time VARCHAR(10),
+    new_date TIMESTAMP WITH TIME ZONE,
+    new_time VARCHAR(10),
+    changed_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Feedback form of an event (rating and comment are always asked, questions are extra)
+CREATE TABLE event_feedback_forms (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID REFERENCES events(id) ON DELETE CASCADE UNIQUE NOT NULL,
+    questions JSONB NOT NULL DEFAULT '[]',
+    closes_at TIMESTAMP WITH TIME ZONE, -- defaults to a few days after the event ends
+    created_by UUID REFERENCES users(id),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Feedback left by attendees, one per registration
+CREATE TABLE event_feedback (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_id UUID REFERENCES events(id) ON DELETE CASCADE NOT NULL,
+    registration_id UUID REFERENCES event_registrations(id) ON DELETE CASCADE UNIQUE NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+    comment TEXT,
+    answers JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Participation certificates of attended registrations
+CREATE TABLE certificates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    registration_id UUID REFERENCES event_registrations(id) ON DELETE CASCADE UNIQUE NOT NULL,
+    event_id UUID REFERENCES events(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    verification_code VARCHAR(20) UNIQUE NOT NULL,
+    recipient_name VARCHAR(255) NOT NULL, -- printed details, kept as issued
+    event_title VARCHAR(255) NOT NULL,
+    event_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    issued_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    revoked_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Extra columns of the task board, placed after the column of their status
+-- (e.g. "Review" after "In progress"). Columns without a department show on every board.
+CREATE TABLE task_board_columns (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    department department_name,
+    name VARCHAR(100) NOT NULL,
+    status task_status NOT NULL, -- status of the tasks in the column
+    position INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Tasks table
@@ -96,17 +320,106 @@ CREATE TABLE tasks (
     status task_status DEFAULT 'pending',
     priority task_priority DEFAULT 'medium',
     due_date TIMESTAMP WITH TIME ZONE,
-    progress INTEGER DEFAULT 0 CHECK (progress >= 0 AND progress <= 100),
+    progress INTEGER DEFAULT 0 CHECK (progress >= 0 AND progress <= 100), -- computed for tasks with subtasks or checklist items
     category VARCHAR(100),
+    parent_id UUID REFERENCES tasks(id) ON DELETE CASCADE, -- set on subtasks
     assigned_by UUID REFERENCES users(id) NOT NULL,
-    assigned_to UUID REFERENCES users(id) NOT NULL,
+    assigned_to UUID REFERENCES users(id) NOT NULL, -- first assignee, task_assignees lists them all
     assigned_date TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     department department_name,
     completed_at TIMESTAMP WITH TIME ZONE,
+    due_reminder_sent_at TIMESTAMP WITH TIME ZONE, -- assignees were reminded of the coming due date
+    overdue_at TIMESTAMP WITH TIME ZONE, -- flagged overdue by the scheduler, cleared when the due date moves
+    board_column_id UUID REFERENCES task_board_columns(id) ON DELETE SET NULL, -- NULL for the column of its status
+    board_position INTEGER NOT NULL DEFAULT 0, -- order inside its board column
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Everyone a task is assigned to. On tasks with several assignees each one
+-- reports their own status and progress, the task shows the aggregate.
+CREATE TABLE task_assignees (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE NOT NULL,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    status task_status DEFAULT 'pending',
+    progress INTEGER DEFAULT 0 CHECK (progress >= 0 AND progress <= 100),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    assigned_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(task_id, user_id)
+);
+
+-- Checklist of a task, checked items count toward its progress
+CREATE TABLE task_checklist_items (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    is_done BOOLEAN DEFAULT false,
+    done_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    done_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- "Blocked by" links: a task cannot be completed before the tasks blocking it
+CREATE TABLE task_dependencies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE NOT NULL,
+    blocked_by_id UUID REFERENCES tasks(id) ON DELETE CASCADE NOT NULL,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(task_id, blocked_by_id),
+    CHECK (task_id <> blocked_by_id)
+);
+
+-- Discussion on a task; replies point to the top-level comment they answer
+CREATE TABLE task_comments (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE NOT NULL,
+    parent_id UUID REFERENCES task_comments(id) ON DELETE CASCADE,
+    author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    body TEXT NOT NULL,
+    mentions UUID[] DEFAULT '{}', -- users notified by an @mention
+    edited_at TIMESTAMP WITH TIME ZONE,
+    deleted_at TIMESTAMP WITH TIME ZONE, -- deleted comments keep their place in the thread
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Timeline of changes made to a task and who made them
+CREATE TABLE task_activity (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    task_id UUID REFERENCES tasks(id) ON DELETE CASCADE NOT NULL,
+    type VARCHAR(50) NOT NULL, -- created, status_changed, progress_updated, reassigned, due_date_changed
+    details JSONB DEFAULT '{}', -- previous and new values
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Daily digests of overdue tasks sent to department heads, one per department and day
+CREATE TABLE task_overdue_digests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    department department_name NOT NULL,
+    digest_date DATE NOT NULL,
+    task_count INTEGER NOT NULL DEFAULT 0,
+    sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(department, digest_date)
+);
+
+-- In-app notifications
+CREATE TABLE notifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE NOT NULL,
+    type VARCHAR(50) NOT NULL,
+    title VARCHAR(255) NOT NULL,
+    message TEXT,
+    data JSONB DEFAULT '{}',
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
 -- Announcements table
 CREATE TABLE announcements (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -156,16 +469,42 @@ CREATE TABLE user_achievements (
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_role ON users(role);
 CREATE INDEX idx_users_department ON users(department);
+CREATE INDEX idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX idx_refresh_tokens_family_id ON refresh_tokens(family_id);
 CREATE INDEX idx_join_applications_status ON join_applications(status);
 CREATE INDEX idx_join_applications_created_at ON join_applications(created_at);
+CREATE INDEX idx_recruitment_campaigns_window ON recruitment_campaigns(starts_at, ends_at);
+CREATE INDEX idx_join_applications_campaign_id ON join_applications(campaign_id);
+CREATE INDEX idx_join_applications_stage ON join_applications(stage);
+CREATE INDEX idx_application_history_application_id ON application_history(application_id, created_at);
+CREATE INDEX idx_application_reviews_application_id ON application_reviews(application_id);
+CREATE INDEX idx_interview_slots_application_id ON interview_slots(application_id);
+CREATE INDEX idx_interview_slots_interviewer_starts_at ON interview_slots(interviewer_id, starts_at);
+CREATE INDEX idx_user_invitations_user_id ON user_invitations(user_id);
 CREATE INDEX idx_events_status ON events(status);
 CREATE INDEX idx_events_is_active ON events(is_active);
 CREATE INDEX idx_events_event_date ON events(event_date);
+CREATE INDEX idx_events_series_id ON events(series_id, series_date);
+CREATE INDEX idx_events_venue_id ON events(venue_id, event_date);
 CREATE INDEX idx_tasks_assigned_to ON tasks(assigned_to);
 CREATE INDEX idx_tasks_assigned_by ON tasks(assigned_by);
 CREATE INDEX idx_tasks_status ON tasks(status);
+CREATE INDEX idx_tasks_due_date ON tasks(due_date);
+CREATE INDEX idx_tasks_board ON tasks(department, status, board_column_id, board_position);
+CREATE INDEX idx_task_board_columns_department ON task_board_columns(department, status, position);
+CREATE INDEX idx_tasks_parent_id ON tasks(parent_id);
+CREATE INDEX idx_task_assignees_user_id ON task_assignees(user_id);
+CREATE INDEX idx_task_checklist_items_task_id ON task_checklist_items(task_id, position);
+CREATE INDEX idx_task_dependencies_blocked_by_id ON task_dependencies(blocked_by_id);
+CREATE INDEX idx_task_comments_task_id ON task_comments(task_id, created_at);
+CREATE INDEX idx_task_activity_task_id ON task_activity(task_id, created_at);
 CREATE INDEX idx_announcements_created_at ON announcements(created_at);
 CREATE INDEX idx_event_registrations_event_id ON event_registrations(event_id);
+CREATE INDEX idx_event_changes_event_id ON event_changes(event_id, created_at);
+CREATE INDEX idx_event_feedback_event_id ON event_feedback(event_id);
+CREATE INDEX idx_certificates_user_id ON certificates(user_id);
+CREATE INDEX idx_event_registrations_waitlist ON event_registrations(event_id, waitlist_position) WHERE status = 'waitlisted';
+CREATE INDEX idx_notifications_user_id ON notifications(user_id, created_at);
 
 -- Create updated_at trigger function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -178,33 +517,326 @@ $$ language 'plpgsql';
 
 -- Create triggers to automatically update updated_at timestamps
 CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_recruitment_campaigns_updated_at BEFORE UPDATE ON recruitment_campaigns FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_join_applications_updated_at BEFORE UPDATE ON join_applications FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_application_reviews_updated_at BEFORE UPDATE ON application_reviews FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_interview_slots_updated_at BEFORE UPDATE ON interview_slots FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_venues_updated_at BEFORE UPDATE ON venues FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_event_series_updated_at BEFORE UPDATE ON event_series FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_event_feedback_forms_updated_at BEFORE UPDATE ON event_feedback_forms FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_events_updated_at BEFORE UPDATE ON events FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_tasks_updated_at BEFORE UPDATE ON tasks FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_task_board_columns_updated_at BEFORE UPDATE ON task_board_columns FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_task_assignees_updated_at BEFORE UPDATE ON task_assignees FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_task_checklist_items_updated_at BEFORE UPDATE ON task_checklist_items FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_task_comments_updated_at BEFORE UPDATE ON task_comments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_announcements_updated_at BEFORE UPDATE ON announcements FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_departments_updated_at BEFORE UPDATE ON departments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
--- Insert default departments
-INSERT INTO departments (name, display_name, description) VALUES
-('it', 'IT Department', 'Technology, software development, and digital innovation'),
-('events', 'Événementiel', 'Event planning, organization, and management'),
-('social-media', 'Social Media', 'Digital marketing, content creation, and online presence'),
-('design', 'Design', 'Visual design, graphics, and creative content'),
-('extern', 'External Relations', 'Partnerships, sponsorships, and external communications');
-
--- Insert default achievements
-INSERT INTO achievements (title, description, icon, requirements) VALUES
-('Premier pas', 'Première tâche complétée', '🏆', '{"tasks_completed": 1}'),
-('Collaborateur', '5 tâches d''équipe terminées', '🤝', '{"team_tasks_completed": 5}'),
-('Expert', '10 tâches techniques accomplies', '⭐', '{"technical_tasks_completed": 10}'),
-('Mentor', 'Aider 3 collègues', '🎓', '{"colleagues_helped": 3}');
+-- Keep events.current_attendees equal to the seats held by registrations
+CREATE OR REPLACE FUNCTION sync_event_attendees()
+RETURNS TRIGGER AS $$
+DECLARE
+    affected_event UUID;
+BEGIN
+    FOR affected_event IN
+        SELECT DISTINCT event_id FROM (
+            SELECT NEW.event_id WHERE TG_OP <> 'DELETE'
+            UNION ALL
+            SELECT OLD.event_id WHERE TG_OP <> 'INSERT'
+        ) AS changed(event_id)
+    LOOP
+        UPDATE events
+        SET current_attendees = (
+            SELECT COUNT(*) FROM event_registrations
+            WHERE event_id = affected_event AND status IN ('registered', 'attended')
+        )
+        WHERE id = affected_event;
+    END LOOP;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER sync_event_registrations_attendees AFTER INSERT OR UPDATE OF status, event_id OR DELETE ON event_registrations FOR EACH ROW EXECUTE FUNCTION sync_event_attendees();
+
+-- Keep events.booked_during in step with the start and duration. event_date is
+-- the start instant; events without a duration last 120 minutes, as in eventTime.js.
+CREATE OR REPLACE FUNCTION set_event_booked_during()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.booked_during = tstzrange(
+        NEW.event_date,
+        NEW.event_date + make_interval(mins => COALESCE(NEW.duration_minutes, 120))
+    );
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER set_events_booked_during BEFORE INSERT OR UPDATE OF event_date, duration_minutes ON events FOR EACH ROW EXECUTE FUNCTION set_event_booked_during();
+
+-- Whether a newcomer gets a seat at an event. Nobody skips the queue: while people
+-- are waiting, newcomers join the waitlist. Callers hold the event row lock.
+CREATE OR REPLACE FUNCTION event_has_open_seat(target_event events)
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN target_event.max_attendees IS NULL OR (
+        target_event.current_attendees < target_event.max_attendees
+        AND NOT EXISTS (
+            SELECT 1 FROM event_registrations WHERE event_id = target_event.id AND status = 'waitlisted'
+        )
+    );
+END;
+$$ language 'plpgsql';
+
+CREATE OR REPLACE FUNCTION next_waitlist_position(p_event_id UUID)
+RETURNS INTEGER AS $$
+    SELECT COALESCE(MAX(waitlist_position), 0) + 1 FROM event_registrations
+    WHERE event_id = p_event_id AND status = 'waitlisted';
+$$ language 'sql';
+
+-- Register a user for an event, or put them on the waitlist once it is full.
+-- The event row is locked so concurrent registrations cannot overbook it.
+-- A user who cancelled registers again on their old row; returns nothing when
+-- the user already holds an active registration.
+CREATE OR REPLACE FUNCTION register_for_event(p_event_id UUID, p_user_id UUID)
+RETURNS SETOF event_registrations AS $$
+DECLARE
+    target_event events%ROWTYPE;
+    has_seat BOOLEAN;
+BEGIN
+    SELECT * INTO target_event FROM events WHERE id = p_event_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Event not found' USING ERRCODE = 'P0002';
+    END IF;
+
+    has_seat := event_has_open_seat(target_event);
+
+    RETURN QUERY
+    INSERT INTO event_registrations (event_id, user_id, status, waitlist_position)
+    VALUES (
+        p_event_id,
+        p_user_id,
+        CASE WHEN has_seat THEN 'registered' ELSE 'waitlisted' END,
+        CASE WHEN has_seat THEN NULL ELSE next_waitlist_position(p_event_id) END
+    )
+    ON CONFLICT (event_id, user_id) DO UPDATE
+    SET status = EXCLUDED.status,
+        waitlist_position = EXCLUDED.waitlist_position,
+        registration_date = NOW(),
+        reschedule_response = NULL
+    WHERE event_registrations.status = 'cancelled'
+    RETURNING *;
+END;
+$$ language 'plpgsql';
+
+-- Confirm a guest's pending registration: like a member registration it takes a
+-- seat, or a waitlist spot once the event is full. Returns nothing unless pending.
+CREATE OR REPLACE FUNCTION confirm_guest_registration(p_registration_id UUID)
+RETURNS SETOF event_registrations AS $$
+DECLARE
+    target_event events%ROWTYPE;
+    has_seat BOOLEAN;
+BEGIN
+    SELECT * INTO target_event FROM events
+    WHERE id = (SELECT event_id FROM event_registrations WHERE id = p_registration_id)
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    has_seat := event_has_open_seat(target_event);
+
+    RETURN QUERY
+    UPDATE event_registrations
+    SET status = CASE WHEN has_seat THEN 'registered' ELSE 'waitlisted' END,
+        waitlist_position = CASE WHEN has_seat THEN NULL ELSE next_waitlist_position(target_event.id) END,
+        confirmed_at = NOW(),
+        guest_token_expires_at = NULL
+    WHERE id = p_registration_id AND status = 'pending'
+    RETURNING *;
+END;
+$$ language 'plpgsql';
+
+-- Cancel a user's registration, returning the cancelled row (none if nothing was active)
+CREATE OR REPLACE FUNCTION cancel_event_registration(p_event_id UUID, p_user_id UUID)
+RETURNS SETOF event_registrations AS $$
+BEGIN
+    PERFORM 1 FROM events WHERE id = p_event_id FOR UPDATE;
+
+    RETURN QUERY
+    UPDATE event_registrations
+    SET status = 'cancelled', waitlist_position = NULL
+    WHERE event_id = p_event_id
+      AND user_id = p_user_id
+      AND status IN ('registered', 'waitlisted')
+    RETURNING *;
+END;
+$$ language 'plpgsql';
+
+-- Cancel a guest's registration, returning the cancelled row (none if nothing was active)
+CREATE OR REPLACE FUNCTION cancel_guest_registration(p_registration_id UUID)
+RETURNS SETOF event_registrations AS $$
+BEGIN
+    PERFORM 1 FROM events
+    WHERE id = (SELECT event_id FROM event_registrations WHERE id = p_registration_id)
+    FOR UPDATE;
+
+    RETURN QUERY
+    UPDATE event_registrations
+    SET status = 'cancelled', waitlist_position = NULL
+    WHERE id = p_registration_id
+      AND status IN ('pending', 'registered', 'waitlisted')
+    RETURNING *;
+END;
+$$ language 'plpgsql';
+
+-- Move waitlisted registrations into free seats in waitlist order, returning the promoted rows
+CREATE OR REPLACE FUNCTION promote_event_waitlist(p_event_id UUID)
+RETURNS SETOF event_registrations AS $$
+DECLARE
+    target_event events%ROWTYPE;
+BEGIN
+    SELECT * INTO target_event FROM events WHERE id = p_event_id FOR UPDATE;
+
+    -- Cancelled and completed events keep their waitlist as it is
+    IF NOT FOUND OR NOT target_event.is_active OR target_event.status IN ('cancelled', 'completed') THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    UPDATE event_registrations
+    SET status = 'registered', waitlist_position = NULL
+    WHERE id IN (
+        SELECT id FROM event_registrations
+        WHERE event_id = p_event_id AND status = 'waitlisted'
+        ORDER BY waitlist_position
+        LIMIT CASE
+            WHEN target_event.max_attendees IS NULL THEN NULL
+            ELSE GREATEST(target_event.max_attendees - target_event.current_attendees, 0)
+        END
+    )
+    RETURNING *;
+END;
+$$ language 'plpgsql';
+
+-- Serialize changes to one board column. An advisory lock works even while
+-- the column is empty and there is no task row to lock.
+CREATE OR REPLACE FUNCTION lock_task_board_column(p_department department_name, p_status task_status, p_column_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    PERFORM pg_advisory_xact_lock(hashtext(
+        'task_board:' || COALESCE(p_department::TEXT, '') || ':' || p_status::TEXT || ':' || COALESCE(p_column_id::TEXT, '')
+    ));
+END;
+$$ language 'plpgsql';
+
+-- New tasks go to the end of their board column
+CREATE OR REPLACE FUNCTION set_task_board_position()
+RETURNS TRIGGER AS $$
+BEGIN
+    PERFORM lock_task_board_column(NEW.department, NEW.status, NEW.board_column_id);
+
+    SELECT COALESCE(MAX(board_position) + 1, 0) INTO NEW.board_position
+    FROM tasks
+    WHERE department IS NOT DISTINCT FROM NEW.department
+      AND status = NEW.status
+      AND board_column_id IS NOT DISTINCT FROM NEW.board_column_id;
+
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER set_tasks_board_position BEFORE INSERT ON tasks FOR EACH ROW EXECUTE FUNCTION set_task_board_position();
+
+-- Move a task to a board column and a position inside it in one step. Board
+-- columns are per department; the column is a custom one (p_column_id) or the
+-- one of p_status. The other tasks of the column are renumbered around it.
+-- A task taken out of completed starts over at 0% progress.
+CREATE OR REPLACE FUNCTION move_task(p_task_id UUID, p_status task_status, p_column_id UUID, p_position INTEGER)
+RETURNS SETOF tasks AS $$
+DECLARE
+    target_task tasks%ROWTYPE;
+    target_position INTEGER;
+BEGIN
+    SELECT * INTO target_task FROM tasks WHERE id = p_task_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    -- Lock the destination column so concurrent moves do not interleave
+    PERFORM lock_task_board_column(target_task.department, p_status, p_column_id);
+
+    SELECT LEAST(GREATEST(p_position, 0), COUNT(*)) INTO target_position
+    FROM tasks
+    WHERE department IS NOT DISTINCT FROM target_task.department
+      AND status = p_status
+      AND board_column_id IS NOT DISTINCT FROM p_column_id
+      AND id <> p_task_id;
+
+    WITH ordered AS (
+        SELECT id, ROW_NUMBER() OVER (ORDER BY board_position, created_at) - 1 AS row_index
+        FROM tasks
+        WHERE department IS NOT DISTINCT FROM target_task.department
+          AND status = p_status
+          AND board_column_id IS NOT DISTINCT FROM p_column_id
+          AND id <> p_task_id
+    )
+    UPDATE tasks
+    SET board_position = CASE WHEN ordered.row_index >= target_position THEN ordered.row_index + 1 ELSE ordered.row_index END
+    FROM ordered
+    WHERE tasks.id = ordered.id;
+
+    RETURN QUERY
+    UPDATE tasks
+    SET status = p_status,
+        board_column_id = p_column_id,
+        board_position = target_position,
+        progress = CASE
+            WHEN p_status = 'completed' THEN 100
+            WHEN target_task.status = 'completed' THEN 0
+            ELSE progress
+        END,
+        completed_at = CASE
+            WHEN p_status <> 'completed' THEN NULL
+            WHEN target_task.status = 'completed' THEN completed_at
+            ELSE NOW()
+        END
+    WHERE id = p_task_id
+    RETURNING *;
+END;
+$$ language 'plpgsql';
+
+-- Default departments and achievements are seeded by `npm run setup-db`
 
 -- Row Level Security (RLS) Policies (for Supabase)
 ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE refresh_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recruitment_campaigns ENABLE ROW LEVEL SECURITY;
 ALTER TABLE join_applications ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_invitations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE application_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE application_reviews ENABLE ROW LEVEL SECURITY;
+ALTER TABLE interview_slots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE venues ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_series ENABLE ROW LEVEL SECURITY;
 ALTER TABLE events ENABLE ROW LEVEL SECURITY;
 ALTER TABLE event_registrations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_changes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_feedback_forms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE event_feedback ENABLE ROW LEVEL SECURITY;
+ALTER TABLE certificates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_board_columns ENABLE ROW LEVEL SECURITY;
 ALTER TABLE tasks ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_assignees ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_checklist_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_dependencies ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_comments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_activity ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_overdue_digests ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
 ALTER TABLE announcements ENABLE ROW LEVEL SECURITY;
 ALTER TABLE departments ENABLE ROW LEVEL SECURITY;
 ALTER TABLE achievements ENABLE ROW LEVEL SECURITY;
@@ -220,7 +852,7 @@ CREATE POLICY "Admins can view join applications" ON join_applications FOR SELEC
 CREATE POLICY "Anyone can view active events" ON events FOR SELECT USING (is_active = true OR status = 'active');
 CREATE POLICY "Admins can manage events" ON events FOR ALL USING (true);
 
-CREATE POLICY "Users can view own tasks" ON tasks FOR SELECT USING (assigned_to = auth.uid() OR assigned_by = auth.uid());
+CREATE POLICY "Users can view own tasks" ON tasks FOR SELECT USING (assigned_to = auth.uid() OR assigned_by = auth.uid() OR EXISTS (SELECT 1 FROM task_assignees WHERE task_assignees.task_id = tasks.id AND task_assignees.user_id = auth.uid()));
 CREATE POLICY "Admins can manage tasks" ON tasks FOR ALL USING (true);
 
 CREATE POLICY "Everyone can view announcements" ON announcements FOR SELECT USING (true);
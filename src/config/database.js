@@ -4,7 +4,8 @@ import dotenv from 'dotenv'
 dotenv.config()
 
 const supabaseUrl = process.env.SUPABASE_URL
-const supabaseKey = process.env.SUPABASE_ANON_KEY
+// The API authenticates users itself, so it talks to Supabase with the service role key when available
+const supabaseKey = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY
 
 if (!supabaseUrl || !supabaseKey) {
   throw new Error('Missing Supabase environment variables. Please check your .env file.')
@@ -32,6 +33,13 @@ export const db = {
         })
       }
       
+      // Extra conditions, e.g. { column: 'event_date', operator: 'gte', value: now }
+      if (options.filters) {
+        options.filters.forEach(({ column, operator, value }) => {
+          query = query[operator](column, value)
+        })
+      }
+      
       if (options.orderBy) {
         query = query.order(options.orderBy.column, { ascending: options.orderBy.ascending !== false })
       }
@@ -114,6 +122,19 @@ export const db = {
       console.error(`Database findById error on table ${table}:`, error)
       throw error
     }
+  },
+
+  // Call a Postgres function, for work that must run atomically in the database
+  async rpc(fn, params = {}) {
+    try {
+      const { data, error } = await supabase.rpc(fn, params)
+      
+      if (error) throw error
+      return data
+    } catch (error) {
+      console.error(`Database rpc error on function ${fn}:`, error)
+      throw error
+    }
   }
 }
 
@@ -0,0 +1,53 @@
+import { db } from '../config/database.js'
+import { getEventEnd } from '../utils/eventTime.js'
+import { canTransition, getRegistrationDeadline, REGISTRATION_CLOSE_MINUTES } from '../utils/eventLifecycle.js'
+
+// Publish drafts whose scheduled activation time has passed
+export const publishScheduledEvents = async (now = new Date()) => {
+  const events = await db.query('events', {
+    where: { status: 'draft', is_active: false },
+    filters: [{ column: 'activation_date', operator: 'lte', value: now.toISOString() }]
+  })
+
+  for (const event of events) {
+    await db.update('events', event.id, { status: 'active', is_active: true })
+    console.log(`Event published on schedule: ${event.title} (ID: ${event.id})`)
+  }
+
+  return events.length
+}
+
+// Close registration shortly before the start and complete events that are over
+export const advanceStartedEvents = async (now = new Date()) => {
+  // Events starting within REGISTRATION_CLOSE_MINUTES may need their registration closed
+  const horizon = new Date(now.getTime() + Math.max(REGISTRATION_CLOSE_MINUTES, 0) * 60 * 1000)
+
+  const events = await db.query('events', {
+    where: { status: 'active' },
+    filters: [{ column: 'event_date', operator: 'lte', value: horizon.toISOString() }]
+  })
+
+  let closed = 0
+  let completed = 0
+
+  for (const event of events) {
+    if (getEventEnd(event) <= now && canTransition(event.status, 'completed')) {
+      await db.update('events', event.id, { status: 'completed', registration_open: false })
+      completed++
+    } else if (event.registration_open && getRegistrationDeadline(event) <= now) {
+      await db.update('events', event.id, { registration_open: false })
+      closed++
+    }
+  }
+
+  return { closed, completed }
+}
+
+export const runEventLifecycle = async () => {
+  const published = await publishScheduledEvents()
+  const { closed, completed } = await advanceStartedEvents()
+
+  if (published || closed || completed) {
+    console.log(`Event lifecycle: ${published} published, ${closed} closed for registration, ${completed} completed`)
+  }
+}
@@ -0,0 +1,48 @@
+import { runEventLifecycle } from './eventLifecycle.js'
+import { runTaskDeadlines } from './taskDeadlines.js'
+
+// In-process scheduler for periodic background jobs.
+// Set SCHEDULER_ENABLED=false on all but one instance when running several.
+
+const SCHEDULER_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000
+
+const jobs = [
+  { name: 'event-lifecycle', run: runEventLifecycle },
+  { name: 'task-deadlines', run: runTaskDeadlines }
+]
+
+let timer = null
+let running = false
+
+const tick = async () => {
+  // A slow run must not overlap the next one
+  if (running) return
+  running = true
+
+  for (const job of jobs) {
+    try {
+      await job.run()
+    } catch (error) {
+      console.error(`Scheduled job ${job.name} error:`, error)
+    }
+  }
+
+  running = false
+}
+
+export const startScheduler = () => {
+  if (timer || process.env.SCHEDULER_ENABLED === 'false') return
+
+  timer = setInterval(tick, SCHEDULER_INTERVAL_MS)
+  timer.unref()
+  tick()
+
+  console.log(`⏰ Scheduler running every ${SCHEDULER_INTERVAL_MS / 1000}s`)
+}
+
+export const stopScheduler = () => {
+  if (timer) {
+    clearInterval(timer)
+    timer = null
+  }
+}
@@ -0,0 +1,144 @@
+import { db } from '../config/database.js'
+import { notifyUsers } from '../utils/notifications.js'
+import { toClubDate, zonedTimeToUtc } from '../utils/eventTime.js'
+import { TASK_REMINDER_HOURS, TASK_DIGEST_HOUR, formatDueDate } from '../utils/taskDeadlines.js'
+import { ROLES } from '../utils/permissions.js'
+
+// Assignees who still have work to do on each task, by task ID
+const getOpenAssignees = async (tasks) => {
+  if (tasks.length === 0) return new Map()
+
+  const assignments = await db.query('task_assignees', {
+    filters: [
+      { column: 'task_id', operator: 'in', value: tasks.map(task => task.id) },
+      { column: 'status', operator: 'neq', value: 'completed' }
+    ]
+  })
+
+  return new Map(tasks.map(task => [
+    task.id,
+    assignments.filter(assignment => assignment.task_id === task.id).map(assignment => assignment.user_id)
+  ]))
+}
+
+// Remind assignees of tasks coming due within TASK_REMINDER_HOURS, once per due date
+export const sendDueSoonReminders = async (now = new Date()) => {
+  const horizon = new Date(now.getTime() + TASK_REMINDER_HOURS * 60 * 60 * 1000)
+
+  const tasks = await db.query('tasks', {
+    filters: [
+      { column: 'status', operator: 'neq', value: 'completed' },
+      { column: 'due_reminder_sent_at', operator: 'is', value: null },
+      { column: 'due_date', operator: 'gt', value: now.toISOString() },
+      { column: 'due_date', operator: 'lte', value: horizon.toISOString() }
+    ]
+  })
+
+  const openAssignees = await getOpenAssignees(tasks)
+
+  for (const task of tasks) {
+    await notifyUsers(openAssignees.get(task.id), {
+      type: 'task_due_soon',
+      title: `Task due soon: ${task.title}`,
+      message: `This task is due ${formatDueDate(task.due_date)}.`,
+      data: { taskId: task.id, dueDate: task.due_date }
+    })
+
+    await db.update('tasks', task.id, { due_reminder_sent_at: now.toISOString() })
+  }
+
+  return tasks.length
+}
+
+// Flag tasks whose due date has passed and tell their assignees
+export const flagOverdueTasks = async (now = new Date()) => {
+  const tasks = await db.query('tasks', {
+    filters: [
+      { column: 'status', operator: 'neq', value: 'completed' },
+      { column: 'overdue_at', operator: 'is', value: null },
+      { column: 'due_date', operator: 'lte', value: now.toISOString() }
+    ]
+  })
+
+  const openAssignees = await getOpenAssignees(tasks)
+
+  for (const task of tasks) {
+    await notifyUsers(openAssignees.get(task.id), {
+      type: 'task_overdue',
+      title: `Task overdue: ${task.title}`,
+      message: `This task was due ${formatDueDate(task.due_date)}.`,
+      data: { taskId: task.id, dueDate: task.due_date }
+    })
+
+    await db.update('tasks', task.id, { overdue_at: now.toISOString() })
+  }
+
+  return tasks.length
+}
+
+// Once a day, send each department's heads the list of its overdue tasks
+export const sendOverdueDigests = async (now = new Date()) => {
+  const today = toClubDate(now)
+  const digestTime = `${String(TASK_DIGEST_HOUR).padStart(2, '0')}:00`
+
+  if (zonedTimeToUtc(today, digestTime) > now) return 0
+
+  const chefs = await db.query('users', {
+    select: 'id, department',
+    where: { role: ROLES.CHEF, is_active: true }
+  })
+  const departments = [...new Set(chefs.map(chef => chef.department).filter(Boolean))]
+
+  if (departments.length === 0) return 0
+
+  const overdueTasks = await db.query('tasks', {
+    filters: [
+      { column: 'status', operator: 'neq', value: 'completed' },
+      { column: 'due_date', operator: 'lte', value: now.toISOString() },
+      { column: 'department', operator: 'in', value: departments }
+    ],
+    orderBy: { column: 'due_date', ascending: true }
+  })
+
+  let sent = 0
+
+  for (const department of departments) {
+    const tasks = overdueTasks.filter(task => task.department === department)
+
+    if (tasks.length === 0) continue
+
+    // Claiming the day first keeps digests from going out twice
+    try {
+      await db.insert('task_overdue_digests', {
+        department,
+        digest_date: today,
+        task_count: tasks.length
+      })
+    } catch (error) {
+      if (error.code === '23505') continue
+      throw error
+    }
+
+    await notifyUsers(chefs.filter(chef => chef.department === department).map(chef => chef.id), {
+      type: 'task_overdue_digest',
+      title: `${tasks.length} overdue ${tasks.length === 1 ? 'task' : 'tasks'} in ${department}`,
+      message: tasks.slice(0, 10).map(task => `- ${task.title}`).join('\n') +
+        (tasks.length > 10 ? `\n...and ${tasks.length - 10} more` : ''),
+      data: { department, taskIds: tasks.map(task => task.id) }
+    })
+
+    sent++
+  }
+
+  return sent
+}
+
+export const runTaskDeadlines = async () => {
+  const reminded = await sendDueSoonReminders()
+  const flagged = await flagOverdueTasks()
+  const digests = await sendOverdueDigests()
+
+  if (reminded || flagged || digests) {
+    console.log(`Task deadlines: ${reminded} reminded, ${flagged} flagged overdue, ${digests} digests sent`)
+  }
+}
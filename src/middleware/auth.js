@@ -0,0 +1,60 @@
+import { db } from '../config/database.js'
+import { verifyAccessToken } from '../utils/tokens.js'
+
+const getBearerToken = (req) => {
+  const header = req.headers.authorization || ''
+  const [scheme, token] = header.split(' ')
+  return scheme === 'Bearer' && token ? token : null
+}
+
+// Require a valid access token and attach the current user to req.user
+export const authenticate = async (req, res, next) => {
+  try {
+    const token = getBearerToken(req)
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      })
+    }
+
+    const payload = verifyAccessToken(token)
+
+    const users = await db.query('users', {
+      where: { id: payload.sub }
+    })
+
+    const user = users && users[0]
+
+    if (!user || !user.is_active) {
+      return res.status(401).json({
+        success: false,
+        error: 'User account is inactive or no longer exists'
+      })
+    }
+
+    req.user = {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: user.role,
+      department: user.department
+    }
+
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+// Attach req.user when a token is sent, but let anonymous requests through
+export const optionalAuth = (req, res, next) => {
+  if (!getBearerToken(req)) {
+    return next()
+  }
+  return authenticate(req, res, next)
+}
+
+export default authenticate
@@ -0,0 +1,23 @@
+import { can } from '../utils/permissions.js'
+
+// Reject the request unless the authenticated user may perform `action`.
+// For record-level checks, call can() in the handler once the record is loaded.
+export const authorize = (action) => (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Authentication required'
+    })
+  }
+
+  if (!can(req.user, action, { data: req.body })) {
+    return res.status(403).json({
+      success: false,
+      error: 'You do not have permission to perform this action'
+    })
+  }
+
+  next()
+}
+
+export default authorize
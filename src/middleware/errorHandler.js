@@ -35,6 +35,12 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 401 }
   }
 
+  // Venue booked by another request between the availability check and the write
+  if (err.code === '23P01') {
+    const message = 'Venue is already booked at that time'
+    error = { message, statusCode: 409 }
+  }
+
   // Supabase errors
   if (err.code && err.code.startsWith('PGRST')) {
     const message = 'Database operation failed'
@@ -5,11 +5,19 @@ const notFound = (req, res, next) => {
     error: `Route ${req.originalUrl} not found`,
     availableRoutes: {
       health: 'GET /health',
+      auth: 'POST /api/auth/login, POST /api/auth/refresh, POST /api/auth/logout',
       join: 'POST /api/join',
+      campaigns: 'GET /api/campaigns/current',
       events: 'GET /api/events, POST /api/events',
+      eventSeries: 'GET /api/event-series, POST /api/event-series',
       users: 'GET /api/users',
       tasks: 'GET /api/tasks, POST /api/tasks',
-      announcements: 'GET /api/announcements, POST /api/announcements'
+      announcements: 'GET /api/announcements, POST /api/announcements',
+      notifications: 'GET /api/notifications',
+      feedback: 'GET /api/feedback/trends',
+      certificates: 'GET /api/certificates, GET /api/certificates/verify/:code',
+      venues: 'GET /api/venues, GET /api/venues/:id/availability',
+      me: 'GET /api/me/registrations'
     }
   })
 }
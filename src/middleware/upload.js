@@ -0,0 +1,38 @@
+import multer from 'multer'
+
+export const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp']
+
+const MAX_FILE_SIZE = parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024
+
+// Files stay in memory: they are resized before being stored anywhere
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_IMAGE_TYPES.includes(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname))
+    }
+    cb(null, true)
+  }
+})
+
+// Accept a single image in `field`, answering upload errors with a 400
+export const uploadImage = (field) => (req, res, next) => {
+  imageUpload.single(field)(req, res, (error) => {
+    if (!error) return next()
+
+    if (error instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: `Image cannot exceed ${Math.round(MAX_FILE_SIZE / 1024 / 1024)} MB`,
+        LIMIT_UNEXPECTED_FILE: `Upload one JPEG, PNG or WebP image in the "${field}" field`
+      }
+
+      return res.status(400).json({
+        success: false,
+        error: messages[error.code] || error.message
+      })
+    }
+
+    next(error)
+  })
+}
@@ -1,6 +1,8 @@
 import express from 'express'
 import { db } from '../config/database.js'
 import { announcementSchema } from '../utils/validation.js'
+import { authenticate } from '../middleware/auth.js'
+import { can } from '../utils/permissions.js'
 
 const router = express.Router()
 
@@ -111,7 +113,7 @@ router.get('/:id', async (req, res, next) => {
 // @desc    Create new announcement
 // @route   POST /api/announcements
 // @access  Admin/Chef
-router.post('/', async (req, res, next) => {
+router.post('/', authenticate, async (req, res, next) => {
   try {
     // Validate request body
     const { error, value } = announcementSchema.validate(req.body, {
@@ -130,6 +132,13 @@ router.post('/', async (req, res, next) => {
       })
     }
 
+    if (!can(req.user, 'announcements:create', { data: value })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Department heads can only publish announcements for their own department'
+      })
+    }
+
     // Prepare data for insertion
     const announcementData = {
       title: value.title,
@@ -138,7 +147,7 @@ router.post('/', async (req, res, next) => {
       category: value.category,
       target_audience: value.targetAudience,
       target_department: value.targetDepartment || null,
-      author_id: req.body.authorId || 'system' // TODO: Get from auth middleware
+      author_id: req.user.id
     }
 
     const result = await db.insert('announcements', announcementData)
@@ -173,7 +182,7 @@ router.post('/', async (req, res, next) => {
 // @desc    Update announcement
 // @route   PUT /api/announcements/:id
 // @access  Admin/Chef/Author
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params
 
@@ -203,6 +212,13 @@ router.put('/:id', async (req, res, next) => {
       })
     }
 
+    if (!can(req.user, 'announcements:update', { resource: existingAnnouncement, data: value })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to update this announcement'
+      })
+    }
+
     // Prepare update data
     const updateData = {
       title: value.title,
@@ -241,7 +257,7 @@ router.put('/:id', async (req, res, next) => {
 // @desc    Delete announcement
 // @route   DELETE /api/announcements/:id
 // @access  Admin/Chef/Author
-router.delete('/:id', async (req, res, next) => {
+router.delete('/:id', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params
 
@@ -254,6 +270,13 @@ router.delete('/:id', async (req, res, next) => {
       })
     }
 
+    if (!can(req.user, 'announcements:delete', { resource: existingAnnouncement })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to delete this announcement'
+      })
+    }
+
     const success = await db.delete('announcements', id)
 
     if (!success) {
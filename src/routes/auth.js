@@ -0,0 +1,307 @@
+import express from 'express'
+import rateLimit from 'express-rate-limit'
+import { db } from '../config/database.js'
+import { loginSchema, refreshTokenSchema, acceptInvitationSchema } from '../utils/validation.js'
+import { comparePassword, hashPassword } from '../utils/userHelpers.js'
+import { findValidInvitation, consumeInvitation } from '../utils/membership.js'
+import {
+  generateAccessToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken
+} from '../utils/tokens.js'
+import { authenticate } from '../middleware/auth.js'
+
+const router = express.Router()
+
+// Stricter rate limiting for credential checks
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 10,
+  message: {
+    error: 'Too many login attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+const getClientMeta = (req) => ({
+  userAgent: req.get('user-agent'),
+  ipAddress: req.ip
+})
+
+const formatSession = (user, accessToken, refreshToken) => ({
+  accessToken,
+  refreshToken,
+  tokenType: 'Bearer',
+  expiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  user: {
+    id: user.id,
+    email: user.email,
+    firstName: user.first_name,
+    lastName: user.last_name,
+    role: user.role,
+    department: user.department
+  }
+})
+
+// @desc    Log in with email and password
+// @route   POST /api/auth/login
+// @access  Public
+router.post('/login', loginLimiter, async (req, res, next) => {
+  try {
+    const { error, value } = loginSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const users = await db.query('users', {
+      where: { email: value.email }
+    })
+
+    const user = users && users[0]
+    const passwordMatches = user && user.password_hash
+      ? await comparePassword(value.password, user.password_hash)
+      : false
+
+    if (!passwordMatches) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password'
+      })
+    }
+
+    if (!user.is_active) {
+      return res.status(403).json({
+        success: false,
+        error: 'This account has been deactivated'
+      })
+    }
+
+    await db.update('users', user.id, { last_login: new Date().toISOString() })
+
+    const accessToken = generateAccessToken(user)
+    const { token: refreshToken } = await issueRefreshToken(user.id, getClientMeta(req))
+
+    res.json({
+      success: true,
+      message: 'Login successful',
+      data: formatSession(user, accessToken, refreshToken)
+    })
+
+    console.log(`User logged in: ${user.email} (ID: ${user.id})`)
+
+  } catch (error) {
+    console.error('Login error:', error)
+    next(error)
+  }
+})
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token holder)
+router.post('/refresh', async (req, res, next) => {
+  try {
+    const { error, value } = refreshTokenSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const rotated = await rotateRefreshToken(value.refreshToken, getClientMeta(req))
+
+    if (!rotated) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired refresh token'
+      })
+    }
+
+    const users = await db.query('users', {
+      where: { id: rotated.userId }
+    })
+
+    const user = users && users[0]
+
+    if (!user || !user.is_active) {
+      await revokeRefreshToken(rotated.refreshToken)
+      return res.status(401).json({
+        success: false,
+        error: 'User account is inactive or no longer exists'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: formatSession(user, generateAccessToken(user), rotated.refreshToken)
+    })
+
+  } catch (error) {
+    console.error('Refresh token error:', error)
+    next(error)
+  }
+})
+
+// @desc    Log out (revoke the session of a refresh token)
+// @route   POST /api/auth/logout
+// @access  Public (refresh token holder)
+router.post('/logout', async (req, res, next) => {
+  try {
+    const { error, value } = refreshTokenSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    await revokeRefreshToken(value.refreshToken)
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    })
+
+  } catch (error) {
+    console.error('Logout error:', error)
+    next(error)
+  }
+})
+
+// @desc    Check an invitation token before setting a password
+// @route   GET /api/auth/invitations/:token
+// @access  Public (invitation holder)
+router.get('/invitations/:token', async (req, res, next) => {
+  try {
+    const invitation = await findValidInvitation(req.params.token)
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation is invalid or has expired'
+      })
+    }
+
+    const user = await db.findById('users', invitation.user_id)
+
+    res.json({
+      success: true,
+      data: {
+        email: user.email,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        expiresAt: invitation.expires_at
+      }
+    })
+
+  } catch (error) {
+    console.error('Get invitation error:', error)
+    next(error)
+  }
+})
+
+// @desc    Accept an invitation by setting a password, then log in
+// @route   POST /api/auth/invitations/accept
+// @access  Public (invitation holder)
+router.post('/invitations/accept', loginLimiter, async (req, res, next) => {
+  try {
+    const { error, value } = acceptInvitationSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const invitation = await findValidInvitation(value.token)
+
+    if (!invitation || !(await consumeInvitation(invitation.id))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Invitation is invalid or has expired'
+      })
+    }
+
+    const result = await db.update('users', invitation.user_id, {
+      password_hash: await hashPassword(value.password),
+      last_login: new Date().toISOString()
+    })
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to set password')
+    }
+
+    const user = result[0]
+
+    if (!user.is_active) {
+      return res.status(403).json({
+        success: false,
+        error: 'This account has been deactivated'
+      })
+    }
+
+    const accessToken = generateAccessToken(user)
+    const { token: refreshToken } = await issueRefreshToken(user.id, getClientMeta(req))
+
+    res.json({
+      success: true,
+      message: 'Password set successfully',
+      data: formatSession(user, accessToken, refreshToken)
+    })
+
+    console.log(`Invitation accepted: ${user.email} (ID: ${user.id})`)
+
+  } catch (error) {
+    console.error('Accept invitation error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get the authenticated user
+// @route   GET /api/auth/me
+// @access  Private
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  })
+})
+
+export default router
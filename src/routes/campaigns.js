@@ -0,0 +1,279 @@
+import express from 'express'
+import { db } from '../config/database.js'
+import { campaignSchema } from '../utils/validation.js'
+import { authenticate } from '../middleware/auth.js'
+import { authorize } from '../middleware/authorize.js'
+import {
+  findOpenCampaign,
+  findNextCampaign,
+  findOverlappingCampaign,
+  getSeatUsage,
+  formatCampaign
+} from '../utils/campaigns.js'
+
+const router = express.Router()
+
+const toCampaignData = (value) => ({
+  title: value.title,
+  description: value.description || null,
+  starts_at: new Date(value.startsAt).toISOString(),
+  ends_at: new Date(value.endsAt).toISOString(),
+  department_quotas: value.departmentQuotas,
+  questions: value.questions
+})
+
+// @desc    Get the campaign currently accepting applications
+// @route   GET /api/campaigns/current
+// @access  Public
+router.get('/current', async (req, res, next) => {
+  try {
+    const campaign = await findOpenCampaign()
+
+    if (!campaign) {
+      const nextCampaign = await findNextCampaign()
+
+      return res.status(404).json({
+        success: false,
+        error: 'Applications are currently closed',
+        ...(nextCampaign && { nextOpening: nextCampaign.starts_at })
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: campaign.id,
+        title: campaign.title,
+        description: campaign.description,
+        startsAt: campaign.starts_at,
+        endsAt: campaign.ends_at,
+        // No quotas means every department is recruiting
+        departments: Object.keys(campaign.department_quotas || {}).length > 0
+          ? Object.keys(campaign.department_quotas)
+          : ['it', 'events', 'social-media', 'design', 'extern'],
+        questions: campaign.questions
+      }
+    })
+
+  } catch (error) {
+    console.error('Get current campaign error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get all recruitment campaigns
+// @route   GET /api/campaigns
+// @access  Admin
+router.get('/', authenticate, authorize('campaigns:manage'), async (req, res, next) => {
+  try {
+    const campaigns = await db.query('recruitment_campaigns', {
+      orderBy: { column: 'starts_at', ascending: false }
+    })
+
+    res.json({
+      success: true,
+      count: campaigns.length,
+      data: campaigns.map(formatCampaign)
+    })
+
+  } catch (error) {
+    console.error('Get campaigns error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get single campaign with seat usage
+// @route   GET /api/campaigns/:id
+// @access  Admin
+router.get('/:id', authenticate, authorize('campaigns:manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const campaign = await db.findById('recruitment_campaigns', id)
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      })
+    }
+
+    const applications = await db.query('join_applications', {
+      select: 'id',
+      where: { campaign_id: id }
+    })
+
+    res.json({
+      success: true,
+      data: {
+        ...formatCampaign(campaign),
+        applicationCount: applications.length,
+        seats: await getSeatUsage(campaign)
+      }
+    })
+
+  } catch (error) {
+    console.error('Get campaign error:', error)
+    next(error)
+  }
+})
+
+// @desc    Create recruitment campaign
+// @route   POST /api/campaigns
+// @access  Admin
+router.post('/', authenticate, authorize('campaigns:manage'), async (req, res, next) => {
+  try {
+    const { error, value } = campaignSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const overlapping = await findOverlappingCampaign(value.startsAt, value.endsAt)
+
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        error: `Campaign dates overlap with "${overlapping.title}"`
+      })
+    }
+
+    const result = await db.insert('recruitment_campaigns', {
+      ...toCampaignData(value),
+      created_by: req.user.id
+    })
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to create campaign')
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Campaign created successfully',
+      data: formatCampaign(result[0])
+    })
+
+    console.log(`New recruitment campaign created: ${result[0].title} (ID: ${result[0].id})`)
+
+  } catch (error) {
+    console.error('Create campaign error:', error)
+    next(error)
+  }
+})
+
+// @desc    Update recruitment campaign
+// @route   PUT /api/campaigns/:id
+// @access  Admin
+router.put('/:id', authenticate, authorize('campaigns:manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const existingCampaign = await db.findById('recruitment_campaigns', id)
+    if (!existingCampaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      })
+    }
+
+    const { error, value } = campaignSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const overlapping = await findOverlappingCampaign(value.startsAt, value.endsAt, id)
+
+    if (overlapping) {
+      return res.status(409).json({
+        success: false,
+        error: `Campaign dates overlap with "${overlapping.title}"`
+      })
+    }
+
+    const result = await db.update('recruitment_campaigns', id, toCampaignData(value))
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to update campaign')
+    }
+
+    res.json({
+      success: true,
+      message: 'Campaign updated successfully',
+      data: formatCampaign(result[0])
+    })
+
+  } catch (error) {
+    console.error('Update campaign error:', error)
+    next(error)
+  }
+})
+
+// @desc    Delete recruitment campaign
+// @route   DELETE /api/campaigns/:id
+// @access  Admin
+router.delete('/:id', authenticate, authorize('campaigns:manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const existingCampaign = await db.findById('recruitment_campaigns', id)
+    if (!existingCampaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      })
+    }
+
+    const applications = await db.query('join_applications', {
+      select: 'id',
+      where: { campaign_id: id },
+      limit: 1
+    })
+
+    if (applications.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Campaigns that received applications cannot be deleted'
+      })
+    }
+
+    const success = await db.delete('recruitment_campaigns', id)
+
+    if (!success) {
+      throw new Error('Failed to delete campaign')
+    }
+
+    res.json({
+      success: true,
+      message: 'Campaign deleted successfully'
+    })
+
+    console.log(`Recruitment campaign deleted: ${existingCampaign.title} (ID: ${id})`)
+
+  } catch (error) {
+    console.error('Delete campaign error:', error)
+    next(error)
+  }
+})
+
+export default router
@@ -0,0 +1,253 @@
+import express from 'express'
+import { db } from '../config/database.js'
+import { authenticate } from '../middleware/auth.js'
+import { can } from '../utils/permissions.js'
+import { issueCertificate, renderCertificate, formatCertificate } from '../utils/certificates.js'
+
+const router = express.Router()
+
+const sendCertificatePdf = async (res, certificate) => {
+  const pdf = await renderCertificate(certificate)
+  const filename = `certificate-${certificate.verification_code}.pdf`
+
+  res.set('Content-Type', 'application/pdf')
+  res.set('Content-Disposition', `attachment; filename="${filename}"`)
+  res.send(pdf)
+}
+
+// @desc    Verify a certificate by its code
+// @route   GET /api/certificates/verify/:code
+// @access  Public
+router.get('/verify/:code', async (req, res, next) => {
+  try {
+    const code = req.params.code.trim().toUpperCase()
+
+    const certificates = await db.query('certificates', {
+      where: { verification_code: code }
+    })
+
+    if (certificates.length === 0 || certificates[0].revoked_at) {
+      return res.status(404).json({
+        success: false,
+        valid: false,
+        error: 'No valid certificate matches this code'
+      })
+    }
+
+    const certificate = certificates[0]
+
+    res.json({
+      success: true,
+      valid: true,
+      data: {
+        recipientName: certificate.recipient_name,
+        eventTitle: certificate.event_title,
+        eventDate: certificate.event_date,
+        issuedAt: certificate.issued_at
+      }
+    })
+
+  } catch (error) {
+    console.error('Verify certificate error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get my certificates, issuing any I am entitled to
+// @route   GET /api/certificates
+// @access  Private
+router.get('/', authenticate, async (req, res, next) => {
+  try {
+    const registrations = await db.query('event_registrations', {
+      where: { user_id: req.user.id, status: 'attended' }
+    })
+
+    const eventIds = registrations.map(registration => registration.event_id)
+    const events = eventIds.length > 0
+      ? await db.query('events', { filters: [{ column: 'id', operator: 'in', value: eventIds }] })
+      : []
+
+    const certificates = []
+    for (const registration of registrations) {
+      const event = events.find(e => e.id === registration.event_id)
+      if (event) {
+        certificates.push(await issueCertificate(registration, event))
+      }
+    }
+
+    const validCertificates = certificates.filter(certificate => !certificate.revoked_at)
+
+    res.json({
+      success: true,
+      count: validCertificates.length,
+      data: validCertificates.map(formatCertificate)
+    })
+
+  } catch (error) {
+    console.error('Get certificates error:', error)
+    next(error)
+  }
+})
+
+// @desc    Download my certificate for an event I attended
+// @route   GET /api/certificates/events/:eventId
+// @access  Private (attendees)
+router.get('/events/:eventId', authenticate, async (req, res, next) => {
+  try {
+    const { eventId } = req.params
+
+    const registrations = await db.query('event_registrations', {
+      where: { event_id: eventId, user_id: req.user.id, status: 'attended' }
+    })
+
+    if (registrations.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certificates are only available to attendees of this event'
+      })
+    }
+
+    const event = await db.findById('events', eventId)
+    const certificate = await issueCertificate(registrations[0], event)
+
+    if (certificate.revoked_at) {
+      return res.status(410).json({
+        success: false,
+        error: 'This certificate has been revoked'
+      })
+    }
+
+    await sendCertificatePdf(res, certificate)
+
+  } catch (error) {
+    console.error('Download certificate error:', error)
+    next(error)
+  }
+})
+
+// @desc    Issue certificates to every attendee of an event
+// @route   POST /api/certificates/events/:eventId/issue
+// @access  Admin/Chef
+router.post('/events/:eventId/issue', authenticate, async (req, res, next) => {
+  try {
+    const { eventId } = req.params
+
+    const event = await db.findById('events', eventId)
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    if (!can(req.user, 'events:viewRegistrations', { resource: event })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to issue certificates for this event'
+      })
+    }
+
+    const registrations = await db.query('event_registrations', {
+      where: { event_id: eventId, status: 'attended' }
+    })
+
+    // Guests have no account to keep certificates in
+    const certificates = []
+    for (const registration of registrations.filter(registration => registration.user_id)) {
+      certificates.push(await issueCertificate(registration, event))
+    }
+
+    res.json({
+      success: true,
+      message: `${certificates.length} certificates issued`,
+      count: certificates.length,
+      data: certificates.map(formatCertificate)
+    })
+
+  } catch (error) {
+    console.error('Issue certificates error:', error)
+    next(error)
+  }
+})
+
+// @desc    Revoke a certificate: it no longer verifies or downloads for its holder
+// @route   POST /api/certificates/:id/revoke
+// @access  Admin/Chef
+router.post('/:id/revoke', authenticate, async (req, res, next) => {
+  try {
+    const certificate = await db.findById('certificates', req.params.id)
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not found'
+      })
+    }
+
+    const event = await db.findById('events', certificate.event_id)
+
+    if (!can(req.user, 'events:viewRegistrations', { resource: event })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to revoke this certificate'
+      })
+    }
+
+    if (certificate.revoked_at) {
+      return res.status(400).json({
+        success: false,
+        error: 'This certificate is already revoked'
+      })
+    }
+
+    const result = await db.update('certificates', certificate.id, {
+      revoked_at: new Date().toISOString()
+    })
+
+    res.json({
+      success: true,
+      message: 'Certificate revoked',
+      data: {
+        ...formatCertificate(result[0]),
+        revokedAt: result[0].revoked_at
+      }
+    })
+
+    console.log(`Certificate revoked: ${certificate.verification_code} (ID: ${certificate.id})`)
+
+  } catch (error) {
+    console.error('Revoke certificate error:', error)
+    next(error)
+  }
+})
+
+// @desc    Download any certificate of an event
+// @route   GET /api/certificates/:id/download
+// @access  Admin/Chef
+router.get('/:id/download', authenticate, async (req, res, next) => {
+  try {
+    const certificate = await db.findById('certificates', req.params.id)
+    if (!certificate) {
+      return res.status(404).json({
+        success: false,
+        error: 'Certificate not found'
+      })
+    }
+
+    const event = await db.findById('events', certificate.event_id)
+
+    if (!can(req.user, 'events:viewRegistrations', { resource: event })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to download this certificate'
+      })
+    }
+
+    await sendCertificatePdf(res, certificate)
+
+  } catch (error) {
+    console.error('Download certificate error:', error)
+    next(error)
+  }
+})
+
+export default router
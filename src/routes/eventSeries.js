@@ -0,0 +1,403 @@
+import express from 'express'
+import { db } from '../config/database.js'
+import { eventSeriesSchema } from '../utils/validation.js'
+import { authenticate, optionalAuth } from '../middleware/auth.js'
+import { can, isChef } from '../utils/permissions.js'
+import { addDays, expandRecurrence } from '../utils/recurrence.js'
+import { registerForEvent } from '../utils/eventRegistrations.js'
+import { isRegistrationOpen } from '../utils/eventLifecycle.js'
+import { checkVenueBooking, capacityWarnings } from '../utils/venues.js'
+import {
+  toSeriesData,
+  getSeriesRule,
+  getOccurrences,
+  plannedOccurrences,
+  syncOccurrences,
+  today,
+  formatSeries,
+  formatOccurrence
+} from '../utils/eventSeries.js'
+
+const router = express.Router()
+
+const validateSeries = (body) => {
+  return eventSeriesSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  })
+}
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation error',
+    details: error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }))
+  })
+}
+
+// Every upcoming day of the series must find its venue free. Occurrences the
+// series already holds are left out since they are about to be synced.
+const checkSeriesVenue = async (seriesData, fromDay, excludeEventIds = [], allowInactive = false) => {
+  if (!seriesData.venue_id) return { venue: null }
+
+  const venueCheck = await checkVenueBooking(seriesData.venue_id, plannedOccurrences(seriesData, fromDay), {
+    excludeEventIds,
+    allowInactive
+  })
+
+  // Without a location of its own the series is held at the venue
+  if (venueCheck.venue && !seriesData.location) {
+    seriesData.location = venueCheck.venue.name
+  }
+
+  return venueCheck
+}
+
+// @desc    Get all event series
+// @route   GET /api/event-series
+// @access  Public (only published series for guests, all for admins and the department's chef)
+router.get('/', optionalAuth, async (req, res, next) => {
+  try {
+    const { department } = req.query
+
+    const options = {
+      orderBy: { column: 'start_date', ascending: true }
+    }
+
+    const whereConditions = {}
+
+    if (!can(req.user, 'events:viewDrafts', { data: { department } })) {
+      whereConditions.is_active = true
+    }
+
+    if (department && ['it', 'events', 'social-media', 'design', 'extern'].includes(department)) {
+      whereConditions.department = department
+    }
+
+    if (Object.keys(whereConditions).length > 0) {
+      options.where = whereConditions
+    }
+
+    const series = await db.query('event_series', options)
+
+    res.json({
+      success: true,
+      count: series.length,
+      data: series.map(formatSeries)
+    })
+
+  } catch (error) {
+    console.error('Get event series error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get a series with its occurrences
+// @route   GET /api/event-series/:id
+// @access  Public (unpublished series only for admins and the department's chef)
+router.get('/:id', optionalAuth, async (req, res, next) => {
+  try {
+    const series = await db.findById('event_series', req.params.id)
+
+    if (!series || (!series.is_active && !can(req.user, 'events:update', { resource: series }))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event series not found'
+      })
+    }
+
+    const occurrences = await getOccurrences(series.id)
+
+    res.json({
+      success: true,
+      data: {
+        ...formatSeries(series),
+        occurrences: occurrences.map(formatOccurrence)
+      }
+    })
+
+  } catch (error) {
+    console.error('Get single event series error:', error)
+    next(error)
+  }
+})
+
+// @desc    Create a series and generate its events
+// @route   POST /api/event-series
+// @access  Admin/Chef
+router.post('/', authenticate, async (req, res, next) => {
+  try {
+    const { error, value } = validateSeries(req.body)
+
+    if (error) {
+      return validationError(res, error)
+    }
+
+    // Department heads create series for their own department by default
+    if (isChef(req.user) && !value.department) {
+      value.department = req.user.department
+    }
+
+    if (!can(req.user, 'events:create', { data: value })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Department heads can only create events for their own department'
+      })
+    }
+
+    const seriesData = toSeriesData(value)
+    const venueCheck = await checkSeriesVenue(seriesData, today())
+
+    if (venueCheck.error) {
+      return res.status(venueCheck.status).json({
+        success: false,
+        error: venueCheck.error
+      })
+    }
+
+    const result = await db.insert('event_series', {
+      ...seriesData,
+      created_by: req.user.id
+    })
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to create event series')
+    }
+
+    const series = result[0]
+    const summary = await syncOccurrences(series)
+    const occurrences = await getOccurrences(series.id)
+
+    res.status(201).json({
+      success: true,
+      message: `Event series created with ${summary.created} occurrences`,
+      data: {
+        ...formatSeries(series),
+        occurrences: occurrences.map(formatOccurrence)
+      },
+      warnings: capacityWarnings(venueCheck.venue, series.max_attendees)
+    })
+
+    console.log(`New event series created: ${series.title} (ID: ${series.id})`)
+
+  } catch (error) {
+    console.error('Create event series error:', error)
+    next(error)
+  }
+})
+
+// @desc    Update a whole series, or this and following occurrences with ?from=YYYY-MM-DD
+// @route   PUT /api/event-series/:id
+// @access  Admin/Chef
+router.put('/:id', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { from } = req.query
+
+    const existingSeries = await db.findById('event_series', id)
+    if (!existingSeries) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event series not found'
+      })
+    }
+
+    const { error, value } = validateSeries(req.body)
+
+    if (error) {
+      return validationError(res, error)
+    }
+
+    if (!can(req.user, 'events:update', { resource: existingSeries, data: value })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to update this event series'
+      })
+    }
+
+    const seriesData = toSeriesData(value)
+    const fromDay = from || today()
+
+    // Splitting on the first upcoming occurrence is the same as editing the whole series
+    const upcomingDays = expandRecurrence(getSeriesRule(existingSeries)).filter(day => day >= today())
+    const isSplit = from && from !== upcomingDays[0]
+
+    if (from && !upcomingDays.includes(from)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The from date must be an upcoming occurrence of this series'
+      })
+    }
+
+    const seriesOccurrences = await getOccurrences(id, today())
+    const venueCheck = await checkSeriesVenue(
+      seriesData,
+      fromDay,
+      seriesOccurrences.map(event => event.id),
+      seriesData.venue_id === existingSeries.venue_id
+    )
+
+    if (venueCheck.error) {
+      return res.status(venueCheck.status).json({
+        success: false,
+        error: venueCheck.error
+      })
+    }
+
+    if (!isSplit) {
+      const result = await db.update('event_series', id, seriesData)
+
+      if (!result || result.length === 0) {
+        throw new Error('Failed to update event series')
+      }
+
+      const summary = await syncOccurrences(result[0], today(), req.user.id)
+
+      return res.json({
+        success: true,
+        message: 'Event series updated successfully',
+        data: { ...formatSeries(result[0]), occurrences: summary },
+        warnings: capacityWarnings(venueCheck.venue, result[0].max_attendees)
+      })
+    }
+
+    if (seriesData.start_date < fromDay) {
+      return res.status(400).json({
+        success: false,
+        error: `The new recurrence must start on or after ${fromDay}`
+      })
+    }
+
+    // End the original series the day before and continue with a new one
+    await db.update('event_series', id, {
+      until_date: addDays(fromDay, -1),
+      occurrence_count: null
+    })
+
+    const result = await db.insert('event_series', {
+      ...seriesData,
+      created_by: existingSeries.created_by
+    })
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to split event series')
+    }
+
+    const newSeries = result[0]
+
+    // Following occurrences move over, keeping their registrations
+    const following = await getOccurrences(id, fromDay)
+    for (const event of following) {
+      await db.update('events', event.id, { series_id: newSeries.id })
+    }
+
+    const summary = await syncOccurrences(newSeries, fromDay, req.user.id)
+
+    res.json({
+      success: true,
+      message: `Occurrences from ${fromDay} moved to a new series`,
+      data: { ...formatSeries(newSeries), occurrences: summary },
+      warnings: capacityWarnings(venueCheck.venue, newSeries.max_attendees)
+    })
+
+    console.log(`Event series split: ${existingSeries.title} (ID: ${id}) continues as ${newSeries.id}`)
+
+  } catch (error) {
+    console.error('Update event series error:', error)
+    next(error)
+  }
+})
+
+// @desc    Delete a series and its upcoming occurrences (past ones are kept)
+// @route   DELETE /api/event-series/:id
+// @access  Admin/Chef
+router.delete('/:id', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const existingSeries = await db.findById('event_series', id)
+    if (!existingSeries) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event series not found'
+      })
+    }
+
+    if (!can(req.user, 'events:delete', { resource: existingSeries })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to delete this event series'
+      })
+    }
+
+    // A rule ending yesterday has no upcoming days, so every upcoming occurrence goes
+    const summary = await syncOccurrences({
+      ...existingSeries,
+      until_date: addDays(today(), -1),
+      occurrence_count: null
+    }, today(), req.user.id)
+
+    const success = await db.delete('event_series', id)
+
+    if (!success) {
+      throw new Error('Failed to delete event series')
+    }
+
+    res.json({
+      success: true,
+      message: 'Event series deleted successfully',
+      data: { removed: summary.removed, cancelled: summary.cancelled }
+    })
+
+    console.log(`Event series deleted: ${existingSeries.title} (ID: ${id})`)
+
+  } catch (error) {
+    console.error('Delete event series error:', error)
+    next(error)
+  }
+})
+
+// @desc    Register for every upcoming occurrence of a series
+// @route   POST /api/event-series/:id/register
+// @access  Private
+router.post('/:id/register', authenticate, async (req, res, next) => {
+  try {
+    const series = await db.findById('event_series', req.params.id)
+
+    if (!series || !series.is_active) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event series not found'
+      })
+    }
+
+    const occurrences = (await getOccurrences(series.id, today()))
+      .filter(event => isRegistrationOpen(event))
+
+    const results = []
+
+    for (const event of occurrences) {
+      const registration = await registerForEvent(event.id, req.user.id)
+      results.push({
+        eventId: event.id,
+        date: event.series_date,
+        status: registration ? registration.status : 'already_registered'
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Registered for ${results.filter(r => r.status === 'registered').length} of ${results.length} occurrences`,
+      data: results
+    })
+
+  } catch (error) {
+    console.error('Series registration error:', error)
+    next(error)
+  }
+})
+
+export default router
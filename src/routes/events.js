@@ -1,13 +1,102 @@
 import express from 'express'
+import rateLimit from 'express-rate-limit'
+import QRCode from 'qrcode'
+import { v4 as uuidv4 } from 'uuid'
 import { db } from '../config/database.js'
-import { eventSchema } from '../utils/validation.js'
+import {
+  eventSchema,
+  waitlistOrderSchema,
+  checkInSchema,
+  guestRegistrationSchema,
+  eventCancelSchema,
+  eventRescheduleSchema,
+  rescheduleResponseSchema
+} from '../utils/validation.js'
+import { authenticate, optionalAuth } from '../middleware/auth.js'
+import { uploadImage } from '../middleware/upload.js'
+import { can, isChef } from '../utils/permissions.js'
+import {
+  getWaitlist,
+  registerForEvent,
+  cancelRegistration,
+  promoteFromWaitlist,
+  markAttended,
+  findGuestRegistration,
+  sendGuestLink,
+  sendMemberLoginHint,
+  confirmGuestRegistration,
+  cancelGuestRegistration,
+  formatRegistration
+} from '../utils/eventRegistrations.js'
+import { recordApplicationHistory } from '../utils/applicationHistory.js'
+import { createCheckInCode, verifyCheckInCode } from '../utils/checkIn.js'
+import { buildCalendar, sendCalendar } from '../utils/ical.js'
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js'
+import {
+  canTransition,
+  isRegistrationOpen,
+  canCancelRegistration,
+  getCancellationDeadline
+} from '../utils/eventLifecycle.js'
+import { cancelEvent, rescheduleEvent, formatEventChange } from '../utils/eventChanges.js'
+import { zonedTimeToUtc, toClubDate, toEventStartDate } from '../utils/eventTime.js'
+import { isValidImage, processImage } from '../utils/images.js'
+import { storage, removeFiles } from '../utils/storage.js'
+import { checkVenueBooking, capacityWarnings } from '../utils/venues.js'
 
 const router = express.Router()
 
+// Guest registrations send emails, so keep them from being used to spam inboxes
+const guestRegistrationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.GUEST_REGISTRATION_RATE_LIMIT_MAX) || 5,
+  message: {
+    error: 'Too many registration attempts, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+})
+
+// Why a registration can no longer be cancelled
+const cancellationClosedError = (registration, event) => {
+  return registration.status === 'registered'
+    ? `Registrations can only be cancelled until ${getCancellationDeadline(event).toISOString()}`
+    : 'The event has already started'
+}
+
+// Status of a guest registration as shown on its private page
+const formatGuestRegistration = async (registration, event) => {
+  const waitlist = registration.status === 'waitlisted' ? await getWaitlist(event.id) : []
+  const hasSeat = ['registered', 'attended'].includes(registration.status)
+  const code = hasSeat ? createCheckInCode(registration.id) : null
+
+  return {
+    registrationId: registration.id,
+    event: {
+      id: event.id,
+      title: event.title,
+      eventDate: event.event_date,
+      eventTime: event.event_time,
+      location: event.location,
+      status: event.status
+    },
+    firstName: registration.guest_first_name,
+    lastName: registration.guest_last_name,
+    email: registration.guest_email,
+    status: registration.status,
+    ...(registration.status === 'pending' && { confirmBefore: registration.guest_token_expires_at }),
+    canCancel: canCancelRegistration(registration, event),
+    ...(registration.status === 'waitlisted' && {
+      waitlistPosition: waitlist.findIndex(entry => entry.id === registration.id) + 1
+    }),
+    ...(hasSeat && { checkIn: { code, qrCode: await QRCode.toDataURL(code) } })
+  }
+}
+
 // @desc    Get all events
 // @route   GET /api/events
-// @access  Public (only active events for guests, all for admins)
-router.get('/', async (req, res, next) => {
+// @access  Public (only active events for guests, all for admins and the department's chef)
+router.get('/', optionalAuth, async (req, res, next) => {
   try {
     const { 
       status, 
@@ -25,7 +114,7 @@ router.get('/', async (req, res, next) => {
     const whereConditions = {}
 
     // Filter by active status for public access
-    if (active === 'true') {
+    if (active === 'true' || !can(req.user, 'events:viewDrafts', { data: { department } })) {
       whereConditions.is_active = true
     }
 
@@ -43,14 +132,17 @@ router.get('/', async (req, res, next) => {
       options.where = whereConditions
     }
 
-    let events = await db.query('events', options)
-
-    // Filter upcoming events if requested
+    // Filter upcoming events if requested (from today on, in the club timezone)
     if (upcoming === 'true') {
-      const now = new Date()
-      events = events.filter(event => new Date(event.event_date) > now)
+      const startOfToday = zonedTimeToUtc(toClubDate(new Date()), '00:00')
+      options.filters = [
+        { column: 'event_date', operator: 'gte', value: startOfToday.toISOString() },
+        { column: 'status', operator: 'neq', value: 'completed' }
+      ]
     }
 
+    const events = await db.query('events', options)
+
     // Pagination
     const startIndex = (parseInt(page) - 1) * parseInt(limit)
     const endIndex = parseInt(page) * parseInt(limit)
@@ -63,12 +155,15 @@ router.get('/', async (req, res, next) => {
       description: event.description,
       eventDate: event.event_date,
       eventTime: event.event_time,
+      durationMinutes: event.duration_minutes,
       location: event.location,
+      venueId: event.venue_id,
       maxAttendees: event.max_attendees,
       currentAttendees: event.current_attendees,
       category: event.category,
       difficulty: event.difficulty,
       imageUrl: event.image_url,
+      imageThumbnailUrl: event.image_thumbnail_url,
       status: event.status,
       isActive: event.is_active,
       activationDate: event.activation_date,
@@ -96,27 +191,138 @@ router.get('/', async (req, res, next) => {
   }
 })
 
+// Calendar feeds list published events. Cancelling keeps an event published,
+// so cancelled ones stay for clients to remove them, but drafts never show up.
+const isListedInCalendar = (event) => event.is_active
+
+// @desc    Get the public calendar feed of active events
+// @route   GET /api/events/calendar.ics
+// @access  Public
+router.get('/calendar.ics', async (req, res, next) => {
+  try {
+    const { department } = req.query
+
+    const options = {
+      where: { is_active: true },
+      orderBy: { column: 'event_date', ascending: true }
+    }
+
+    if (department && ['it', 'events', 'social-media', 'design', 'extern'].includes(department)) {
+      options.where.department = department
+    }
+
+    const events = await db.query('events', options)
+
+    sendCalendar(res, buildCalendar('Octobit Events', events))
+
+  } catch (error) {
+    console.error('Get calendar feed error:', error)
+    next(error)
+  }
+})
+
+// @desc    Create my private calendar feed URL (replaces any previous one)
+// @route   POST /api/events/calendar/feed-url
+// @access  Private
+router.post('/calendar/feed-url', authenticate, async (req, res, next) => {
+  try {
+    const token = generateOpaqueToken(32)
+
+    await db.update('users', req.user.id, { calendar_token_hash: hashToken(token) })
+
+    res.json({
+      success: true,
+      message: 'Private calendar feed created, previous feed URLs no longer work',
+      data: {
+        url: `${req.protocol}://${req.get('host')}/api/events/calendar/feed/${token}.ics`
+      }
+    })
+
+  } catch (error) {
+    console.error('Create calendar feed URL error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get a member's private calendar feed of the events they registered for
+// @route   GET /api/events/calendar/feed/:token.ics
+// @access  Public (secret feed URL)
+router.get('/calendar/feed/:token.ics', async (req, res, next) => {
+  try {
+    const users = await db.query('users', {
+      select: 'id, is_active',
+      where: { calendar_token_hash: hashToken(req.params.token) }
+    })
+
+    if (users.length === 0 || !users[0].is_active) {
+      return res.status(404).json({
+        success: false,
+        error: 'Calendar feed not found'
+      })
+    }
+
+    const registrations = await db.query('event_registrations', {
+      select: 'event_id',
+      where: { user_id: users[0].id },
+      filters: [{ column: 'status', operator: 'in', value: ['registered', 'waitlisted', 'attended'] }]
+    })
+
+    const eventIds = registrations.map(registration => registration.event_id)
+
+    const events = eventIds.length > 0
+      ? await db.query('events', {
+        where: { is_active: true },
+        filters: [{ column: 'id', operator: 'in', value: eventIds }],
+        orderBy: { column: 'event_date', ascending: true }
+      })
+      : []
+
+    sendCalendar(res, buildCalendar('My Octobit Events', events))
+
+  } catch (error) {
+    console.error('Get private calendar feed error:', error)
+    next(error)
+  }
+})
+
+// @desc    Download a single event as .ics
+// @route   GET /api/events/:id/calendar.ics
+// @access  Public
+router.get('/:id/calendar.ics', async (req, res, next) => {
+  try {
+    const event = await db.findById('events', req.params.id)
+
+    if (!event || !isListedInCalendar(event)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    sendCalendar(res, buildCalendar(event.title, [event]), `event-${event.id}.ics`)
+
+  } catch (error) {
+    console.error('Get event calendar error:', error)
+    next(error)
+  }
+})
+
 // @desc    Get single event by ID
 // @route   GET /api/events/:id
-// @access  Public
-router.get('/:id', async (req, res, next) => {
+// @access  Public (inactive events only for admins and the department's chef)
+router.get('/:id', optionalAuth, async (req, res, next) => {
   try {
     const { id } = req.params
 
     const event = await db.findById('events', id)
 
-    if (!event) {
+    if (!event || (!event.is_active && !can(req.user, 'events:update', { resource: event }))) {
       return res.status(404).json({
         success: false,
         error: 'Event not found'
       })
     }
 
-    // Get registration count
-    const registrations = await db.query('event_registrations', {
-      where: { event_id: id, status: 'registered' }
-    })
-
     res.json({
       success: true,
       data: {
@@ -125,16 +331,20 @@ router.get('/:id', async (req, res, next) => {
         description: event.description,
         eventDate: event.event_date,
         eventTime: event.event_time,
+        durationMinutes: event.duration_minutes,
         location: event.location,
+        venueId: event.venue_id,
         maxAttendees: event.max_attendees,
-        currentAttendees: registrations ? registrations.length : 0,
+        currentAttendees: event.current_attendees,
         category: event.category,
         difficulty: event.difficulty,
         imageUrl: event.image_url,
+        imageThumbnailUrl: event.image_thumbnail_url,
         status: event.status,
         isActive: event.is_active,
         activationDate: event.activation_date,
         department: event.department,
+        seriesId: event.series_id,
         createdAt: event.created_at,
         updatedAt: event.updated_at
       }
@@ -148,8 +358,8 @@ router.get('/:id', async (req, res, next) => {
 
 // @desc    Create new event
 // @route   POST /api/events
-// @access  Admin
-router.post('/', async (req, res, next) => {
+// @access  Admin/Chef
+router.post('/', authenticate, async (req, res, next) => {
   try {
     // Validate request body
     const { error, value } = eventSchema.validate(req.body, {
@@ -168,21 +378,58 @@ router.post('/', async (req, res, next) => {
       })
     }
 
+    // Department heads create events for their own department by default
+    if (isChef(req.user) && !value.department) {
+      value.department = req.user.department
+    }
+
+    if (!can(req.user, 'events:create', { data: value })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Department heads can only create events for their own department'
+      })
+    }
+
+    const eventDate = toEventStartDate(req.body.eventDate, value.eventTime)
+
+    let venue = null
+
+    if (value.venueId) {
+      const venueCheck = await checkVenueBooking(value.venueId, [{
+        event_date: eventDate,
+        event_time: value.eventTime,
+        duration_minutes: value.durationMinutes
+      }])
+
+      if (venueCheck.error) {
+        return res.status(venueCheck.status).json({
+          success: false,
+          error: venueCheck.error
+        })
+      }
+
+      venue = venueCheck.venue
+    }
+
     // Prepare data for insertion
     const eventData = {
       title: value.title,
       description: value.description,
-      event_date: value.eventDate,
+      event_date: eventDate,
       event_time: value.eventTime,
-      location: value.location,
+      duration_minutes: value.durationMinutes || null,
+      location: value.location || venue.name,
+      venue_id: value.venueId || null,
       max_attendees: value.maxAttendees,
       category: value.category,
       difficulty: value.difficulty || null,
       image_url: value.imageUrl || null,
       department: value.department || null,
-      created_by: req.body.createdBy || 'system', // TODO: Get from auth middleware
+      created_by: req.user.id,
       status: 'draft',
-      is_active: false
+      is_active: false,
+      // Published by the scheduler once this time has passed
+      activation_date: value.activationDate || null
     }
 
     const result = await db.insert('events', eventData)
@@ -192,16 +439,20 @@ router.post('/', async (req, res, next) => {
     }
 
     const event = result[0]
+    const warnings = capacityWarnings(venue, event.max_attendees)
 
     res.status(201).json({
       success: true,
       message: 'Event created successfully',
+      ...(warnings.length > 0 && { warnings }),
       data: {
         id: event.id,
         title: event.title,
         eventDate: event.event_date,
         eventTime: event.event_time,
+        durationMinutes: event.duration_minutes,
         location: event.location,
+        venueId: event.venue_id,
         status: event.status,
         isActive: event.is_active,
         createdAt: event.created_at
@@ -218,8 +469,8 @@ router.post('/', async (req, res, next) => {
 
 // @desc    Update event
 // @route   PUT /api/events/:id
-// @access  Admin
-router.put('/:id', async (req, res, next) => {
+// @access  Admin/Chef
+router.put('/:id', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params
 
@@ -250,13 +501,65 @@ router.put('/:id', async (req, res, next) => {
       })
     }
 
+    if (!can(req.user, 'events:update', { resource: existingEvent, data: value })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to update this event'
+      })
+    }
+
+    const eventDate = toEventStartDate(req.body.eventDate, value.eventTime)
+
+    // Registrants must be told about moves and cancellations, which have their own endpoints
+    const isMoved = new Date(eventDate).getTime() !== new Date(existingEvent.event_date).getTime() ||
+      value.eventTime !== existingEvent.event_time
+
+    if (isMoved) {
+      return res.status(409).json({
+        success: false,
+        error: 'Use POST /api/events/:id/reschedule to change the date or time of an event'
+      })
+    }
+
+    if (req.body.status === 'cancelled' && existingEvent.status !== 'cancelled') {
+      return res.status(409).json({
+        success: false,
+        error: 'Use POST /api/events/:id/cancel to cancel an event'
+      })
+    }
+
+    let venue = null
+
+    if (value.venueId) {
+      const venueCheck = await checkVenueBooking(value.venueId, [{
+        event_date: eventDate,
+        event_time: value.eventTime,
+        duration_minutes: value.durationMinutes
+      }], {
+        excludeEventIds: [id],
+        // Keeping a venue that was retired since it was booked is fine
+        allowInactive: value.venueId === existingEvent.venue_id
+      })
+
+      if (venueCheck.error) {
+        return res.status(venueCheck.status).json({
+          success: false,
+          error: venueCheck.error
+        })
+      }
+
+      venue = venueCheck.venue
+    }
+
     // Prepare update data
     const updateData = {
       title: value.title,
       description: value.description,
-      event_date: value.eventDate,
+      event_date: eventDate,
       event_time: value.eventTime,
-      location: value.location,
+      duration_minutes: value.durationMinutes || null,
+      location: value.location || venue.name,
+      venue_id: value.venueId || null,
       max_attendees: value.maxAttendees,
       category: value.category,
       difficulty: value.difficulty || null,
@@ -264,16 +567,67 @@ router.put('/:id', async (req, res, next) => {
       department: value.department || null
     }
 
+    // An uploaded image stays unless another image URL is given
+    const uploadedImageKeys = existingEvent.image_storage_keys || []
+    const keepsUploadedImage = uploadedImageKeys.length > 0 &&
+      (!value.imageUrl || value.imageUrl === existingEvent.image_url)
+
+    if (keepsUploadedImage) {
+      delete updateData.image_url
+    } else if (uploadedImageKeys.length > 0) {
+      updateData.image_thumbnail_url = null
+      updateData.image_storage_keys = []
+    }
+
+    // An occurrence edited on its own no longer follows series edits
+    if (existingEvent.series_id) {
+      updateData.is_series_exception = true
+    }
+
     // Handle status and active state if provided
     if (req.body.status && ['draft', 'active', 'completed', 'cancelled'].includes(req.body.status)) {
+      if (!canTransition(existingEvent.status, req.body.status)) {
+        return res.status(409).json({
+          success: false,
+          error: `Cannot change event status from ${existingEvent.status} to ${req.body.status}`
+        })
+      }
       updateData.status = req.body.status
     }
 
+    const nextStatus = updateData.status || existingEvent.status
+
     if (typeof req.body.isActive === 'boolean') {
+      if (req.body.isActive && ['completed', 'cancelled'].includes(nextStatus)) {
+        return res.status(409).json({
+          success: false,
+          error: `A ${nextStatus} event cannot be made active again`
+        })
+      }
+
       updateData.is_active = req.body.isActive
       if (req.body.isActive && !existingEvent.activation_date) {
         updateData.activation_date = new Date().toISOString()
       }
+
+      // Publishing by hand moves the status the same way the scheduler does
+      if (req.body.isActive && nextStatus === 'draft') {
+        updateData.status = 'active'
+      } else if (!req.body.isActive && nextStatus === 'active') {
+        updateData.status = 'draft'
+      }
+    } else if (updateData.status === 'active' || updateData.status === 'draft') {
+      updateData.is_active = updateData.status === 'active'
+      if (updateData.is_active && !existingEvent.activation_date) {
+        updateData.activation_date = new Date().toISOString()
+      }
+    }
+
+    if (value.activationDate !== undefined) {
+      updateData.activation_date = value.activationDate
+    } else if (updateData.is_active === false) {
+      // Otherwise the scheduler would publish the event again right away
+      updateData.activation_date = null
     }
 
     const result = await db.update('events', id, updateData)
@@ -284,9 +638,21 @@ router.put('/:id', async (req, res, next) => {
 
     const event = result[0]
 
+    if (!keepsUploadedImage) {
+      await removeFiles(uploadedImageKeys)
+    }
+
+    // A larger capacity lets people in from the waitlist
+    if (!event.max_attendees || event.max_attendees > (existingEvent.max_attendees || 0)) {
+      await promoteFromWaitlist(event)
+    }
+
+    const warnings = capacityWarnings(venue, event.max_attendees)
+
     res.json({
       success: true,
       message: 'Event updated successfully',
+      ...(warnings.length > 0 && { warnings }),
       data: {
         id: event.id,
         title: event.title,
@@ -304,8 +670,8 @@ router.put('/:id', async (req, res, next) => {
 
 // @desc    Delete event
 // @route   DELETE /api/events/:id
-// @access  Admin
-router.delete('/:id', async (req, res, next) => {
+// @access  Admin/Chef
+router.delete('/:id', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params
 
@@ -318,13 +684,35 @@ router.delete('/:id', async (req, res, next) => {
       })
     }
 
-    // Delete event (this will cascade delete registrations due to foreign key constraint)
+    if (!can(req.user, 'events:delete', { resource: existingEvent })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to delete this event'
+      })
+    }
+
+    // Registrations are kept as a record, so events people signed up for are cancelled instead
+    const registrations = await db.query('event_registrations', {
+      select: 'id',
+      where: { event_id: id },
+      limit: 1
+    })
+
+    if (registrations.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Events with registrations cannot be deleted, cancel the event instead'
+      })
+    }
+
     const success = await db.delete('events', id)
 
     if (!success) {
       throw new Error('Failed to delete event')
     }
 
+    await removeFiles(existingEvent.image_storage_keys)
+
     res.json({
       success: true,
       message: 'Event deleted successfully'
@@ -338,138 +726,1278 @@ router.delete('/:id', async (req, res, next) => {
   }
 })
 
-// @desc    Register for event
-// @route   POST /api/events/:id/register
-// @access  Public (for now, TODO: require auth)
-router.post('/:id/register', async (req, res, next) => {
+// @desc    Upload the event poster (stored as thumbnail and web sizes)
+// @route   POST /api/events/:id/image
+// @access  Admin/Chef
+router.post('/:id/image', authenticate, uploadImage('image'), async (req, res, next) => {
   try {
-    const { id: eventId } = req.params
-    const { userId } = req.body // TODO: Get from auth middleware
-
-    if (!userId) {
-      return res.status(400).json({
-        success: false,
-        error: 'User ID is required'
-      })
-    }
+    const { id } = req.params
 
-    // Check if event exists and is active
-    const event = await db.findById('events', eventId)
-    if (!event) {
+    const existingEvent = await db.findById('events', id)
+    if (!existingEvent) {
       return res.status(404).json({
         success: false,
         error: 'Event not found'
       })
     }
 
-    if (!event.is_active) {
-      return res.status(400).json({
+    if (!can(req.user, 'events:update', { resource: existingEvent })) {
+      return res.status(403).json({
         success: false,
-        error: 'Event is not available for registration'
+        error: 'You do not have permission to update this event'
       })
     }
 
-    // Check if event is full
-    if (event.max_attendees) {
-      const currentRegistrations = await db.query('event_registrations', {
-        where: { event_id: eventId, status: 'registered' }
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No image uploaded'
       })
-      
-      if (currentRegistrations.length >= event.max_attendees) {
-        return res.status(400).json({
-          success: false,
-          error: 'Event is full'
-        })
-      }
     }
 
-    // Check if user is already registered
-    const existingRegistration = await db.query('event_registrations', {
-      where: { event_id: eventId, user_id: userId }
-    })
-
-    if (existingRegistration && existingRegistration.length > 0) {
-      return res.status(409).json({
+    if (!await isValidImage(req.file.buffer)) {
+      return res.status(400).json({
         success: false,
-        error: 'Already registered for this event'
+        error: 'The uploaded file is not a valid JPEG, PNG or WebP image'
       })
     }
 
-    // Create registration
-    const registrationData = {
-      event_id: eventId,
-      user_id: userId,
-      status: 'registered'
+    const variants = await processImage(req.file.buffer)
+    const uploadId = uuidv4()
+    const urls = {}
+    const keys = []
+
+    for (const [name, buffer] of Object.entries(variants)) {
+      const key = `events/${id}/${uploadId}-${name}.webp`
+      urls[name] = await storage.save(key, buffer, 'image/webp')
+      keys.push(key)
     }
 
-    const result = await db.insert('event_registrations', registrationData)
+    const result = await db.update('events', id, {
+      image_url: urls.web,
+      image_thumbnail_url: urls.thumbnail,
+      image_storage_keys: keys,
+      // An occurrence with its own poster no longer follows series edits
+      ...(existingEvent.series_id && { is_series_exception: true })
+    })
 
     if (!result || result.length === 0) {
-      throw new Error('Failed to create registration')
+      await removeFiles(keys)
+      throw new Error('Failed to update event image')
     }
 
-    res.status(201).json({
+    // The previous poster is no longer referenced
+    await removeFiles(existingEvent.image_storage_keys)
+
+    res.json({
       success: true,
-      message: 'Successfully registered for event',
+      message: 'Event image uploaded successfully',
       data: {
-        registrationId: result[0].id,
-        eventId: eventId,
-        userId: userId,
-        registeredAt: result[0].registration_date
+        id: result[0].id,
+        imageUrl: result[0].image_url,
+        imageThumbnailUrl: result[0].image_thumbnail_url
       }
     })
 
   } catch (error) {
-    console.error('Event registration error:', error)
+    console.error('Upload event image error:', error)
     next(error)
   }
 })
 
-// @desc    Get event registrations
-// @route   GET /api/events/:id/registrations
-// @access  Admin
-router.get('/:id/registrations', async (req, res, next) => {
+// @desc    Remove the event image
+// @route   DELETE /api/events/:id/image
+// @access  Admin/Chef
+router.delete('/:id/image', authenticate, async (req, res, next) => {
   try {
-    const { id: eventId } = req.params
+    const { id } = req.params
 
-    // Check if event exists
-    const event = await db.findById('events', eventId)
-    if (!event) {
+    const existingEvent = await db.findById('events', id)
+    if (!existingEvent) {
       return res.status(404).json({
         success: false,
         error: 'Event not found'
       })
     }
 
-    // Get registrations with user details (would need JOIN in real implementation)
-    const registrations = await db.query('event_registrations', {
-      where: { event_id: eventId },
-      orderBy: { column: 'registration_date', ascending: false }
+    if (!can(req.user, 'events:update', { resource: existingEvent })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to update this event'
+      })
+    }
+
+    await db.update('events', id, {
+      image_url: null,
+      image_thumbnail_url: null,
+      image_storage_keys: [],
+      ...(existingEvent.series_id && { is_series_exception: true })
     })
 
+    await removeFiles(existingEvent.image_storage_keys)
+
     res.json({
       success: true,
-      event: {
-        id: event.id,
-        title: event.title,
-        maxAttendees: event.max_attendees
-      },
-      registrations: {
-        total: registrations.length,
-        registered: registrations.filter(r => r.status === 'registered').length,
-        attended: registrations.filter(r => r.status === 'attended').length,
-        cancelled: registrations.filter(r => r.status === 'cancelled').length
-      },
-      data: registrations.map(reg => ({
-        id: reg.id,
-        userId: reg.user_id,
-        status: reg.status,
-        registeredAt: reg.registration_date
-      }))
+      message: 'Event image removed'
     })
 
   } catch (error) {
-    console.error('Get event registrations error:', error)
+    console.error('Remove event image error:', error)
+    next(error)
+  }
+})
+
+// @desc    Cancel an event, keeping its registrations and notifying registrants
+// @route   POST /api/events/:id/cancel
+// @access  Admin/Chef
+router.post('/:id/cancel', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const { error, value } = eventCancelSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const existingEvent = await db.findById('events', id)
+    if (!existingEvent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    if (!can(req.user, 'events:update', { resource: existingEvent })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to cancel this event'
+      })
+    }
+
+    if (existingEvent.status === 'cancelled' || !canTransition(existingEvent.status, 'cancelled')) {
+      return res.status(409).json({
+        success: false,
+        error: `A ${existingEvent.status} event cannot be cancelled`
+      })
+    }
+
+    const event = await cancelEvent(existingEvent, {
+      reason: value.reason,
+      changedBy: req.user.id
+    })
+
+    res.json({
+      success: true,
+      message: 'Event cancelled and registrants notified',
+      data: {
+        id: event.id,
+        title: event.title,
+        status: event.status,
+        updatedAt: event.updated_at
+      }
+    })
+
+    console.log(`Event cancelled: ${event.title} (ID: ${id})`)
+
+  } catch (error) {
+    console.error('Cancel event error:', error)
+    next(error)
+  }
+})
+
+// @desc    Move an event to a new date and time and ask registrants to confirm
+// @route   POST /api/events/:id/reschedule
+// @access  Admin/Chef
+router.post('/:id/reschedule', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const { error, value } = eventRescheduleSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const existingEvent = await db.findById('events', id)
+    if (!existingEvent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    if (!can(req.user, 'events:update', { resource: existingEvent })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to reschedule this event'
+      })
+    }
+
+    if (['completed', 'cancelled'].includes(existingEvent.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `A ${existingEvent.status} event cannot be rescheduled`
+      })
+    }
+
+    const eventDate = toEventStartDate(req.body.eventDate, value.eventTime)
+
+    if (existingEvent.venue_id) {
+      const venueCheck = await checkVenueBooking(existingEvent.venue_id, [{
+        ...existingEvent,
+        event_date: eventDate,
+        event_time: value.eventTime
+      }], { excludeEventIds: [id], allowInactive: true })
+
+      if (venueCheck.error) {
+        return res.status(venueCheck.status).json({
+          success: false,
+          error: venueCheck.error
+        })
+      }
+    }
+
+    // A rescheduled occurrence no longer follows series edits
+    if (existingEvent.series_id && !existingEvent.is_series_exception) {
+      await db.update('events', id, { is_series_exception: true })
+    }
+
+    const event = await rescheduleEvent(existingEvent, {
+      eventDate,
+      eventTime: value.eventTime,
+      reason: value.reason,
+      changedBy: req.user.id
+    })
+
+    res.json({
+      success: true,
+      message: 'Event rescheduled and registrants notified',
+      data: {
+        id: event.id,
+        title: event.title,
+        eventDate: event.event_date,
+        eventTime: event.event_time,
+        updatedAt: event.updated_at
+      }
+    })
+
+    console.log(`Event rescheduled: ${event.title} (ID: ${id})`)
+
+  } catch (error) {
+    console.error('Reschedule event error:', error)
+    next(error)
+  }
+})
+
+// @desc    Confirm or release my spot after a reschedule
+// @route   POST /api/events/:id/reschedule-response
+// @access  Private
+router.post('/:id/reschedule-response', authenticate, async (req, res, next) => {
+  try {
+    const { id: eventId } = req.params
+
+    const { error, value } = rescheduleResponseSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const registrations = await db.query('event_registrations', {
+      where: { event_id: eventId, user_id: req.user.id, reschedule_response: 'pending' }
+    })
+
+    if (registrations.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No rescheduled registration awaiting your answer'
+      })
+    }
+
+    const registration = registrations[0]
+
+    if (value.response === 'confirm') {
+      await db.update('event_registrations', registration.id, { reschedule_response: 'confirmed' })
+
+      return res.json({
+        success: true,
+        message: 'Your spot is confirmed for the new date',
+        data: { registrationId: registration.id, status: registration.status }
+      })
+    }
+
+    const cancelled = await cancelRegistration(eventId, req.user.id)
+    await db.update('event_registrations', registration.id, { reschedule_response: 'released' })
+
+    const event = await db.findById('events', eventId)
+    const promoted = await promoteFromWaitlist(event)
+
+    res.json({
+      success: true,
+      message: 'Your spot has been released',
+      data: {
+        registrationId: registration.id,
+        status: cancelled ? cancelled.status : registration.status,
+        promotedFromWaitlist: promoted.length
+      }
+    })
+
+  } catch (error) {
+    console.error('Reschedule response error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get the cancellation and reschedule history of an event
+// @route   GET /api/events/:id/changes
+// @access  Public (inactive events only for admins and the department's chef)
+router.get('/:id/changes', optionalAuth, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const event = await db.findById('events', id)
+
+    if (!event || (!event.is_active && !can(req.user, 'events:update', { resource: event }))) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    const changes = await db.query('event_changes', {
+      where: { event_id: id },
+      orderBy: { column: 'created_at', ascending: false }
+    })
+
+    res.json({
+      success: true,
+      count: changes.length,
+      data: changes.map(formatEventChange)
+    })
+
+  } catch (error) {
+    console.error('Get event changes error:', error)
+    next(error)
+  }
+})
+
+// @desc    Register for event (joins the waitlist when the event is full)
+// @route   POST /api/events/:id/register
+// @access  Private
+router.post('/:id/register', authenticate, async (req, res, next) => {
+  try {
+    const { id: eventId } = req.params
+    const userId = req.user.id
+
+    // Check if event exists and is active
+    const event = await db.findById('events', eventId)
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    if (!event.is_active) {
+      return res.status(400).json({
+        success: false,
+        error: 'Event is not available for registration'
+      })
+    }
+
+    if (!isRegistrationOpen(event)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Registration is closed for this event'
+      })
+    }
+
+    // Registrations beyond capacity go onto the waitlist, a cancelled one is reused
+    const registration = await registerForEvent(eventId, userId)
+
+    if (!registration) {
+      return res.status(409).json({
+        success: false,
+        error: 'Already registered for this event'
+      })
+    }
+
+    const isWaitlisted = registration.status === 'waitlisted'
+    const waitlist = isWaitlisted ? await getWaitlist(eventId) : []
+
+    res.status(201).json({
+      success: true,
+      message: isWaitlisted
+        ? 'Event is full, you have been added to the waitlist'
+        : 'Successfully registered for event',
+      data: {
+        registrationId: registration.id,
+        eventId: eventId,
+        userId: userId,
+        status: registration.status,
+        ...(isWaitlisted && {
+          waitlistPosition: waitlist.findIndex(entry => entry.id === registration.id) + 1
+        }),
+        registeredAt: registration.registration_date
+      }
+    })
+
+  } catch (error) {
+    console.error('Event registration error:', error)
+    next(error)
+  }
+})
+
+// @desc    Cancel my registration (the first waitlisted person takes the seat)
+// @route   DELETE /api/events/:id/register
+// @access  Private
+router.delete('/:id/register', authenticate, async (req, res, next) => {
+  try {
+    const { id: eventId } = req.params
+
+    const event = await db.findById('events', eventId)
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    const registrations = await db.query('event_registrations', {
+      where: { event_id: eventId, user_id: req.user.id }
+    })
+
+    const registration = registrations[0]
+
+    if (!registration || !['registered', 'waitlisted'].includes(registration.status)) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active registration for this event'
+      })
+    }
+
+    if (!canCancelRegistration(registration, event)) {
+      return res.status(409).json({
+        success: false,
+        error: cancellationClosedError(registration, event)
+      })
+    }
+
+    const cancelled = await cancelRegistration(eventId, req.user.id)
+
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active registration for this event'
+      })
+    }
+
+    // Fill the freed seat, if any, from the waitlist
+    const promoted = await promoteFromWaitlist(event)
+
+    res.json({
+      success: true,
+      message: 'Registration cancelled',
+      data: {
+        registrationId: cancelled.id,
+        status: cancelled.status,
+        promotedFromWaitlist: promoted.length
+      }
+    })
+
+  } catch (error) {
+    console.error('Cancel registration error:', error)
+    next(error)
+  }
+})
+
+// @desc    Register as a guest (non-member), confirmed through a link sent by email
+// @route   POST /api/events/:id/guest-registrations
+// @access  Public
+router.post('/:id/guest-registrations', guestRegistrationLimiter, async (req, res, next) => {
+  try {
+    const { id: eventId } = req.params
+
+    const { error, value } = guestRegistrationSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const event = await db.findById('events', eventId)
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    if (!event.is_active) {
+      return res.status(400).json({
+        success: false,
+        error: 'Event is not available for registration'
+      })
+    }
+
+    if (!isRegistrationOpen(event)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Registration is closed for this event'
+      })
+    }
+
+    // Every outcome below gets the same answer and the details go by email,
+    // so the endpoint does not tell who is a member or already registered
+    const respondCheckInbox = (sent) => {
+      if (!sent) {
+        return res.status(503).json({
+          success: false,
+          error: 'The email could not be sent, please try again later'
+        })
+      }
+
+      res.status(202).json({
+        success: true,
+        message: 'Check your inbox to continue your registration'
+      })
+    }
+
+    // Members register with their account
+    const users = await db.query('users', {
+      select: 'id',
+      where: { email: value.email }
+    })
+
+    if (users.length > 0) {
+      return respondCheckInbox(await sendMemberLoginHint(value.email, event))
+    }
+
+    // Guests are deduplicated by email
+    const existingRegistrations = await db.query('event_registrations', {
+      where: { event_id: eventId, guest_email: value.email }
+    })
+
+    let registration = existingRegistrations[0]
+
+    if (registration && !['pending', 'cancelled'].includes(registration.status)) {
+      // Already registered: send the link again in case it was lost
+      return respondCheckInbox(await sendGuestLink(registration, event))
+    }
+
+    const guestData = {
+      guest_first_name: value.firstName,
+      guest_last_name: value.lastName,
+      guest_student_id: value.studentId || null,
+      status: 'pending',
+      registration_date: new Date().toISOString()
+    }
+
+    try {
+      // Unconfirmed or cancelled registrations start over with the new details
+      const result = registration
+        ? await db.update('event_registrations', registration.id, { ...guestData, confirmed_at: null })
+        : await db.insert('event_registrations', { ...guestData, event_id: eventId, guest_email: value.email })
+      registration = result[0]
+    } catch (insertError) {
+      // A concurrent request registered the same email first and sends the link
+      if (insertError.code === '23505') return respondCheckInbox(true)
+      throw insertError
+    }
+
+    respondCheckInbox(await sendGuestLink(registration, event))
+
+    console.log(`Guest registration requested for event ${eventId}: ${registration.guest_email}`)
+
+  } catch (error) {
+    console.error('Guest registration error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get a guest registration with its check-in code
+// @route   GET /api/events/guest-registrations/:token
+// @access  Public (emailed link)
+router.get('/guest-registrations/:token', async (req, res, next) => {
+  try {
+    const registration = await findGuestRegistration(req.params.token)
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        error: 'Registration not found'
+      })
+    }
+
+    const event = await db.findById('events', registration.event_id)
+
+    res.json({
+      success: true,
+      data: await formatGuestRegistration(registration, event)
+    })
+
+  } catch (error) {
+    console.error('Get guest registration error:', error)
+    next(error)
+  }
+})
+
+// @desc    Confirm a guest registration (takes a seat or joins the waitlist)
+// @route   POST /api/events/guest-registrations/:token/confirm
+// @access  Public (emailed link)
+router.post('/guest-registrations/:token/confirm', async (req, res, next) => {
+  try {
+    const registration = await findGuestRegistration(req.params.token)
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        error: 'Registration not found'
+      })
+    }
+
+    if (registration.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: `Registration is already ${registration.status}`
+      })
+    }
+
+    if (new Date(registration.guest_token_expires_at) <= new Date()) {
+      return res.status(410).json({
+        success: false,
+        error: 'This confirmation link has expired, please register again'
+      })
+    }
+
+    const event = await db.findById('events', registration.event_id)
+
+    if (!event.is_active || !isRegistrationOpen(event)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Registration is closed for this event'
+      })
+    }
+
+    const confirmed = await confirmGuestRegistration(registration.id)
+
+    if (!confirmed) {
+      return res.status(409).json({
+        success: false,
+        error: 'Registration was already confirmed'
+      })
+    }
+
+    res.json({
+      success: true,
+      message: confirmed.status === 'waitlisted'
+        ? 'Event is full, you have been added to the waitlist'
+        : 'Registration confirmed',
+      data: await formatGuestRegistration(confirmed, event)
+    })
+
+  } catch (error) {
+    console.error('Confirm guest registration error:', error)
+    next(error)
+  }
+})
+
+// @desc    Cancel a guest registration (the first waitlisted person takes the seat)
+// @route   DELETE /api/events/guest-registrations/:token
+// @access  Public (emailed link)
+router.delete('/guest-registrations/:token', async (req, res, next) => {
+  try {
+    const registration = await findGuestRegistration(req.params.token)
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        error: 'Registration not found'
+      })
+    }
+
+    if (!['pending', 'registered', 'waitlisted'].includes(registration.status)) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active registration to cancel'
+      })
+    }
+
+    const event = await db.findById('events', registration.event_id)
+
+    if (!canCancelRegistration(registration, event)) {
+      return res.status(409).json({
+        success: false,
+        error: cancellationClosedError(registration, event)
+      })
+    }
+
+    const cancelled = await cancelGuestRegistration(registration.id)
+
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        error: 'No active registration to cancel'
+      })
+    }
+
+    const promoted = await promoteFromWaitlist(event)
+
+    res.json({
+      success: true,
+      message: 'Registration cancelled',
+      data: {
+        registrationId: cancelled.id,
+        status: cancelled.status,
+        promotedFromWaitlist: promoted.length
+      }
+    })
+
+  } catch (error) {
+    console.error('Cancel guest registration error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get the waitlist of an event
+// @route   GET /api/events/:id/waitlist
+// @access  Admin/Chef
+router.get('/:id/waitlist', authenticate, async (req, res, next) => {
+  try {
+    const { id: eventId } = req.params
+
+    const event = await db.findById('events', eventId)
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    if (!can(req.user, 'events:viewRegistrations', { resource: event })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to view registrations for this event'
+      })
+    }
+
+    const waitlist = await getWaitlist(eventId)
+
+    res.json({
+      success: true,
+      count: waitlist.length,
+      data: waitlist.map((registration, index) => ({
+        position: index + 1,
+        ...formatRegistration(registration)
+      }))
+    })
+
+  } catch (error) {
+    console.error('Get event waitlist error:', error)
+    next(error)
+  }
+})
+
+// @desc    Reorder the waitlist of an event
+// @route   PUT /api/events/:id/waitlist
+// @access  Admin/Chef
+router.put('/:id/waitlist', authenticate, async (req, res, next) => {
+  try {
+    const { id: eventId } = req.params
+
+    const { error, value } = waitlistOrderSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const event = await db.findById('events', eventId)
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    if (!can(req.user, 'events:update', { resource: event })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to manage this event'
+      })
+    }
+
+    const waitlist = await getWaitlist(eventId)
+    const waitlistIds = waitlist.map(registration => registration.id)
+
+    // The new order must list every waitlisted registration exactly once
+    const sameEntries = value.registrationIds.length === waitlistIds.length &&
+      value.registrationIds.every(registrationId => waitlistIds.includes(registrationId))
+
+    if (!sameEntries) {
+      return res.status(409).json({
+        success: false,
+        error: 'The new order must contain exactly the current waitlisted registrations'
+      })
+    }
+
+    for (const [index, registrationId] of value.registrationIds.entries()) {
+      await db.update('event_registrations', registrationId, { waitlist_position: index + 1 })
+    }
+
+    res.json({
+      success: true,
+      message: 'Waitlist reordered',
+      data: value.registrationIds.map((registrationId, index) => ({
+        position: index + 1,
+        id: registrationId
+      }))
+    })
+
+  } catch (error) {
+    console.error('Reorder event waitlist error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get event registrations
+// @route   GET /api/events/:id/registrations
+// @access  Admin/Chef
+router.get('/:id/registrations', authenticate, async (req, res, next) => {
+  try {
+    const { id: eventId } = req.params
+
+    // Check if event exists
+    const event = await db.findById('events', eventId)
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    if (!can(req.user, 'events:viewRegistrations', { resource: event })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to view registrations for this event'
+      })
+    }
+
+    // Get registrations with user details (would need JOIN in real implementation)
+    const registrations = await db.query('event_registrations', {
+      where: { event_id: eventId },
+      orderBy: { column: 'registration_date', ascending: false }
+    })
+
+    res.json({
+      success: true,
+      event: {
+        id: event.id,
+        title: event.title,
+        maxAttendees: event.max_attendees
+      },
+      registrations: {
+        total: registrations.length,
+        registered: registrations.filter(r => r.status === 'registered').length,
+        waitlisted: registrations.filter(r => r.status === 'waitlisted').length,
+        attended: registrations.filter(r => r.status === 'attended').length,
+        cancelled: registrations.filter(r => r.status === 'cancelled').length,
+        // Guests who have not confirmed their email yet hold no seat
+        pendingConfirmation: registrations.filter(r => r.status === 'pending').length,
+        guests: registrations.filter(r => !r.user_id && r.status !== 'pending').length
+      },
+      data: registrations.map(formatRegistration)
+    })
+
+  } catch (error) {
+    console.error('Get event registrations error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get my check-in code and its QR code
+// @route   GET /api/events/:id/check-in-code
+// @access  Private (registered attendee)
+router.get('/:id/check-in-code', authenticate, async (req, res, next) => {
+  try {
+    const { id: eventId } = req.params
+
+    const registrations = await db.query('event_registrations', {
+      where: { event_id: eventId, user_id: req.user.id }
+    })
+
+    const registration = registrations && registrations[0]
+
+    if (!registration || !['registered', 'attended'].includes(registration.status)) {
+      return res.status(404).json({
+        success: false,
+        error: 'No confirmed registration for this event'
+      })
+    }
+
+    const code = createCheckInCode(registration.id)
+
+    res.json({
+      success: true,
+      data: {
+        registrationId: registration.id,
+        status: registration.status,
+        code,
+        qrCode: await QRCode.toDataURL(code)
+      }
+    })
+
+  } catch (error) {
+    console.error('Get check-in code error:', error)
+    next(error)
+  }
+})
+
+// @desc    Check in an attendee by scanned code, or a walk-in member by user ID
+// @route   POST /api/events/:id/check-in
+// @access  Admin/Chef
+router.post('/:id/check-in', authenticate, async (req, res, next) => {
+  try {
+    const { id: eventId } = req.params
+
+    const { error, value } = checkInSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const event = await db.findById('events', eventId)
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    if (!can(req.user, 'events:checkIn', { resource: event })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to check in attendees for this event'
+      })
+    }
+
+    let registration
+    let walkIn = false
+
+    if (value.code) {
+      const registrationId = verifyCheckInCode(value.code)
+      const registrations = registrationId
+        ? await db.query('event_registrations', { where: { id: registrationId, event_id: eventId } })
+        : []
+
+      if (registrations.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid check-in code for this event'
+        })
+      }
+
+      registration = registrations[0]
+
+      if (registration.status !== 'registered' && registration.status !== 'attended') {
+        return res.status(409).json({
+          success: false,
+          error: `Registration is ${registration.status}, check the attendee in by user ID instead`
+        })
+      }
+    } else {
+      const users = await db.query('users', {
+        select: 'id, is_active',
+        where: { id: value.userId }
+      })
+
+      if (users.length === 0 || !users[0].is_active) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        })
+      }
+
+      const registrations = await db.query('event_registrations', {
+        where: { event_id: eventId, user_id: value.userId }
+      })
+
+      registration = registrations[0]
+      // Anyone without a confirmed seat is let in on site
+      walkIn = !registration || !['registered', 'attended'].includes(registration.status)
+
+      if (!registration) {
+        try {
+          const result = await db.insert('event_registrations', {
+            event_id: eventId,
+            user_id: value.userId,
+            status: 'registered'
+          })
+          registration = result[0]
+        } catch (insertError) {
+          if (insertError.code !== '23505') throw insertError
+          // Registered concurrently, check them in on that registration
+          const existing = await db.query('event_registrations', {
+            where: { event_id: eventId, user_id: value.userId }
+          })
+          registration = existing[0]
+        }
+      }
+    }
+
+    const attended = await markAttended(registration.id, req.user.id, { walkIn })
+
+    if (!attended) {
+      const current = await db.findById('event_registrations', registration.id)
+
+      return res.status(409).json({
+        success: false,
+        error: 'Attendee is already checked in',
+        checkedInAt: current.checked_in_at
+      })
+    }
+
+    res.json({
+      success: true,
+      message: 'Attendee checked in',
+      data: {
+        registrationId: attended.id,
+        userId: attended.user_id,
+        ...(!attended.user_id && { guestName: `${attended.guest_first_name} ${attended.guest_last_name}` }),
+        status: attended.status,
+        isWalkIn: attended.is_walk_in,
+        checkedInAt: attended.checked_in_at
+      }
+    })
+
+  } catch (error) {
+    console.error('Event check-in error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get the live attendance summary of an event
+// @route   GET /api/events/:id/attendance
+// @access  Admin/Chef
+router.get('/:id/attendance', authenticate, async (req, res, next) => {
+  try {
+    const { id: eventId } = req.params
+
+    const event = await db.findById('events', eventId)
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    if (!can(req.user, 'events:viewRegistrations', { resource: event })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to view attendance for this event'
+      })
+    }
+
+    const registrations = await db.query('event_registrations', {
+      where: { event_id: eventId }
+    })
+
+    const attended = registrations.filter(r => r.status === 'attended')
+    const walkIns = attended.filter(r => r.is_walk_in).length
+    const notCheckedIn = registrations.filter(r => r.status === 'registered').length
+    const expected = attended.length - walkIns + notCheckedIn
+
+    const recentCheckIns = attended
+      .sort((a, b) => new Date(b.checked_in_at) - new Date(a.checked_in_at))
+      .slice(0, 10)
+
+    res.json({
+      success: true,
+      event: {
+        id: event.id,
+        title: event.title,
+        eventDate: event.event_date,
+        maxAttendees: event.max_attendees
+      },
+      data: {
+        expected,
+        checkedIn: attended.length,
+        walkIns,
+        notCheckedIn,
+        // Share of registered attendees who showed up
+        attendanceRate: expected > 0 ? Math.round(((attended.length - walkIns) / expected) * 100) : 0,
+        recentCheckIns: recentCheckIns.map(r => ({
+          registrationId: r.id,
+          userId: r.user_id,
+          ...(!r.user_id && { guestName: `${r.guest_first_name} ${r.guest_last_name}` }),
+          isWalkIn: r.is_walk_in,
+          checkedInAt: r.checked_in_at
+        }))
+      }
+    })
+
+  } catch (error) {
+    console.error('Get event attendance error:', error)
+    next(error)
+  }
+})
+
+// @desc    Record a guest as a lead for recruitment
+// @route   POST /api/events/:id/registrations/:registrationId/lead
+// @access  Admin/Chef
+router.post('/:id/registrations/:registrationId/lead', authenticate, async (req, res, next) => {
+  try {
+    const { id: eventId, registrationId } = req.params
+
+    const event = await db.findById('events', eventId)
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    if (!can(req.user, 'join:createLead', { resource: event })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to manage registrations for this event'
+      })
+    }
+
+    const registrations = await db.query('event_registrations', {
+      where: { id: registrationId, event_id: eventId }
+    })
+
+    const registration = registrations[0]
+
+    if (!registration) {
+      return res.status(404).json({
+        success: false,
+        error: 'Registration not found'
+      })
+    }
+
+    if (registration.user_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only guest registrations can become leads'
+      })
+    }
+
+    if (registration.status === 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: 'The guest has not confirmed their email yet'
+      })
+    }
+
+    // A guest who already applied, or is a lead from another event, keeps that application
+    const applications = await db.query('join_applications', {
+      where: { email: registration.guest_email },
+      orderBy: { column: 'created_at', ascending: false },
+      limit: 1
+    })
+
+    let application = applications[0]
+    const created = !application
+
+    if (created) {
+      const result = await db.insert('join_applications', {
+        first_name: registration.guest_first_name,
+        last_name: registration.guest_last_name,
+        email: registration.guest_email,
+        student_id: registration.guest_student_id,
+        preferred_department: event.department || null,
+        status: 'lead',
+        stage: null
+      })
+
+      if (!result || result.length === 0) {
+        throw new Error('Failed to create lead')
+      }
+
+      application = result[0]
+
+      await recordApplicationHistory(application.id, 'lead_created', {
+        eventId: event.id,
+        event: event.title
+      }, req.user.id)
+    }
+
+    if (registration.lead_application_id !== application.id) {
+      await db.update('event_registrations', registration.id, { lead_application_id: application.id })
+    }
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: created ? 'Guest recorded as a lead' : 'Guest already has a join application',
+      data: {
+        applicationId: application.id,
+        email: application.email,
+        status: application.status
+      }
+    })
+
+  } catch (error) {
+    console.error('Create lead from guest error:', error)
     next(error)
   }
 })
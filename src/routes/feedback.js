@@ -0,0 +1,383 @@
+import express from 'express'
+import { db } from '../config/database.js'
+import { feedbackFormSchema, feedbackSchema, buildAnswersSchema } from '../utils/validation.js'
+import { authenticate } from '../middleware/auth.js'
+import { can, isChef } from '../utils/permissions.js'
+import { getFeedbackDeadline, summarizeFeedback, groupFeedbackTrends } from '../utils/feedback.js'
+
+const router = express.Router()
+
+// All feedback routes require an authenticated user
+router.use(authenticate)
+
+const findForm = async (eventId) => {
+  const forms = await db.query('event_feedback_forms', { where: { event_id: eventId } })
+  return forms.length > 0 ? forms[0] : null
+}
+
+const findAttendance = async (eventId, userId) => {
+  const registrations = await db.query('event_registrations', {
+    where: { event_id: eventId, user_id: userId, status: 'attended' }
+  })
+  return registrations.length > 0 ? registrations[0] : null
+}
+
+const formatForm = (event, form) => ({
+  eventId: event.id,
+  eventTitle: event.title,
+  questions: form ? form.questions : [],
+  closesAt: getFeedbackDeadline(event, form)
+})
+
+// @desc    Get trends of feedback ratings per category and difficulty
+// @route   GET /api/feedback/trends
+// @access  Admin/Chef
+router.get('/trends', async (req, res, next) => {
+  try {
+    const { from, to } = req.query
+    let { department } = req.query
+
+    // Department heads see their own department by default
+    if (isChef(req.user) && !department) {
+      department = req.user.department
+    }
+
+    if (!can(req.user, 'feedback:viewTrends', { data: { department } })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to view feedback trends for this department'
+      })
+    }
+
+    const options = {
+      select: 'id, title, category, difficulty, department, event_date',
+      where: { status: 'completed' }
+    }
+
+    if (department) {
+      options.where.department = department
+    }
+
+    const filters = []
+    if (from && !isNaN(Date.parse(from))) {
+      filters.push({ column: 'event_date', operator: 'gte', value: new Date(from).toISOString() })
+    }
+    if (to && !isNaN(Date.parse(to))) {
+      filters.push({ column: 'event_date', operator: 'lte', value: new Date(to).toISOString() })
+    }
+    if (filters.length > 0) {
+      options.filters = filters
+    }
+
+    const events = await db.query('events', options)
+    const eventIds = events.map(event => event.id)
+
+    const feedback = eventIds.length > 0
+      ? await db.query('event_feedback', {
+        select: 'event_id, rating',
+        filters: [{ column: 'event_id', operator: 'in', value: eventIds }]
+      })
+      : []
+
+    res.json({
+      success: true,
+      data: {
+        events: events.length,
+        responses: feedback.length,
+        byCategory: groupFeedbackTrends(events, feedback, 'category'),
+        byDifficulty: groupFeedbackTrends(events, feedback, 'difficulty')
+      }
+    })
+
+  } catch (error) {
+    console.error('Get feedback trends error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get the feedback form of an event
+// @route   GET /api/feedback/events/:eventId/form
+// @access  Private (attendees and organizers)
+router.get('/events/:eventId/form', async (req, res, next) => {
+  try {
+    const { eventId } = req.params
+
+    const event = await db.findById('events', eventId)
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    const registration = await findAttendance(eventId, req.user.id)
+
+    if (!registration && !can(req.user, 'feedback:manage', { resource: event })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only attendees can give feedback on this event'
+      })
+    }
+
+    const form = await findForm(eventId)
+
+    const submitted = registration
+      ? await db.query('event_feedback', { select: 'id', where: { registration_id: registration.id } })
+      : []
+
+    res.json({
+      success: true,
+      data: {
+        ...formatForm(event, form),
+        submitted: submitted.length > 0
+      }
+    })
+
+  } catch (error) {
+    console.error('Get feedback form error:', error)
+    next(error)
+  }
+})
+
+// @desc    Set the extra questions and closing date of an event's feedback form
+// @route   PUT /api/feedback/events/:eventId/form
+// @access  Admin/Chef
+router.put('/events/:eventId/form', async (req, res, next) => {
+  try {
+    const { eventId } = req.params
+
+    const { error, value } = feedbackFormSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const event = await db.findById('events', eventId)
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    if (!can(req.user, 'feedback:manage', { resource: event })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to manage feedback for this event'
+      })
+    }
+
+    const existingForm = await findForm(eventId)
+
+    // Changing questions under existing answers would make the results meaningless
+    if (existingForm) {
+      const responses = await db.query('event_feedback', { select: 'id', where: { event_id: eventId }, limit: 1 })
+      const questionsChanged = JSON.stringify(existingForm.questions) !== JSON.stringify(value.questions)
+
+      if (responses.length > 0 && questionsChanged) {
+        return res.status(409).json({
+          success: false,
+          error: 'Questions cannot be changed once feedback has been submitted'
+        })
+      }
+    }
+
+    const formData = {
+      questions: value.questions,
+      closes_at: value.closesAt ? new Date(value.closesAt).toISOString() : null
+    }
+
+    const result = existingForm
+      ? await db.update('event_feedback_forms', existingForm.id, formData)
+      : await db.insert('event_feedback_forms', { ...formData, event_id: eventId, created_by: req.user.id })
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to save feedback form')
+    }
+
+    res.json({
+      success: true,
+      message: 'Feedback form saved',
+      data: formatForm(event, result[0])
+    })
+
+  } catch (error) {
+    console.error('Save feedback form error:', error)
+    next(error)
+  }
+})
+
+// @desc    Give feedback on an event I attended
+// @route   POST /api/feedback/events/:eventId
+// @access  Private (attendees)
+router.post('/events/:eventId', async (req, res, next) => {
+  try {
+    const { eventId } = req.params
+
+    const { error, value } = feedbackSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const event = await db.findById('events', eventId)
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    if (event.status !== 'completed') {
+      return res.status(400).json({
+        success: false,
+        error: 'Feedback opens once the event is completed'
+      })
+    }
+
+    const registration = await findAttendance(eventId, req.user.id)
+
+    if (!registration) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only attendees can give feedback on this event'
+      })
+    }
+
+    const form = await findForm(eventId)
+
+    if (new Date() > getFeedbackDeadline(event, form)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Feedback for this event is closed'
+      })
+    }
+
+    const { error: answersError, value: answers } = buildAnswersSchema(form ? form.questions : []).validate(value.answers, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (answersError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: answersError.details.map(detail => ({
+          field: ['answers', ...detail.path].join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    let result
+    try {
+      result = await db.insert('event_feedback', {
+        event_id: eventId,
+        registration_id: registration.id,
+        user_id: req.user.id,
+        rating: value.rating,
+        comment: value.comment || null,
+        answers
+      })
+    } catch (insertError) {
+      if (insertError.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'You already gave feedback on this event'
+        })
+      }
+      throw insertError
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Thank you for your feedback',
+      data: {
+        id: result[0].id,
+        eventId,
+        rating: result[0].rating,
+        createdAt: result[0].created_at
+      }
+    })
+
+  } catch (error) {
+    console.error('Submit feedback error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get the aggregated feedback of an event
+// @route   GET /api/feedback/events/:eventId/results
+// @access  Admin/Chef
+router.get('/events/:eventId/results', async (req, res, next) => {
+  try {
+    const { eventId } = req.params
+
+    const event = await db.findById('events', eventId)
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        error: 'Event not found'
+      })
+    }
+
+    if (!can(req.user, 'feedback:manage', { resource: event })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to view feedback for this event'
+      })
+    }
+
+    const form = await findForm(eventId)
+    const feedback = await db.query('event_feedback', {
+      where: { event_id: eventId },
+      orderBy: { column: 'created_at', ascending: false }
+    })
+    const attended = await db.query('event_registrations', {
+      select: 'id',
+      where: { event_id: eventId, status: 'attended' }
+    })
+
+    res.json({
+      success: true,
+      event: {
+        id: event.id,
+        title: event.title,
+        category: event.category,
+        difficulty: event.difficulty
+      },
+      data: {
+        attended: attended.length,
+        responseRate: attended.length > 0 ? Math.round((feedback.length / attended.length) * 100) : 0,
+        closesAt: getFeedbackDeadline(event, form),
+        ...summarizeFeedback(feedback, form ? form.questions : [])
+      }
+    })
+
+  } catch (error) {
+    console.error('Get feedback results error:', error)
+    next(error)
+  }
+})
+
+export default router
@@ -1,9 +1,86 @@
 import express from 'express'
 import { db } from '../config/database.js'
-import { joinApplicationSchema } from '../utils/validation.js'
+import { authenticate } from '../middleware/auth.js'
+import { authorize } from '../middleware/authorize.js'
+import { can, isChef } from '../utils/permissions.js'
+import { provisionMemberFromApplication, createInvitation } from '../utils/membership.js'
+import {
+  joinApplicationSchema,
+  applicationReviewSchema,
+  interviewSlotSchema,
+  interviewSlotUpdateSchema,
+  buildAnswersSchema,
+  applicationContactSchema
+} from '../utils/validation.js'
+import { generateOpaqueToken, hashToken } from '../utils/tokens.js'
+import {
+  recordApplicationHistory,
+  getApplicationHistory,
+  formatHistoryEntry
+} from '../utils/applicationHistory.js'
+import { findOpenCampaign, findNextCampaign, questionsForApplicant, getSeatUsage } from '../utils/campaigns.js'
+import {
+  PIPELINE_STAGES,
+  SCORING_STAGES,
+  REVIEW_RUBRIC,
+  isNextStage,
+  computeReviewScore,
+  summarizeReviews,
+  rankApplications,
+  slotsOverlap
+} from '../utils/recruitment.js'
 
 const router = express.Router()
 
+const formatInterviewSlot = (slot) => ({
+  id: slot.id,
+  applicationId: slot.application_id,
+  interviewerId: slot.interviewer_id,
+  startsAt: slot.starts_at,
+  durationMinutes: slot.duration_minutes,
+  location: slot.location,
+  status: slot.status,
+  notes: slot.notes,
+  createdAt: slot.created_at
+})
+
+const formatReview = (review) => ({
+  id: review.id,
+  reviewerId: review.reviewer_id,
+  stage: review.stage,
+  department: review.department,
+  scores: review.scores,
+  totalScore: Number(review.total_score),
+  comment: review.comment,
+  createdAt: review.created_at,
+  updatedAt: review.updated_at
+})
+
+const findApplicationByTrackingToken = async (token) => {
+  const applications = await db.query('join_applications', {
+    where: { tracking_token_hash: hashToken(token) }
+  })
+  return applications && applications.length > 0 ? applications[0] : null
+}
+
+// Find a scheduled interview of the interviewer overlapping the given slot
+const findInterviewerConflict = async (interviewerId, startsAt, durationMinutes, excludeSlotId) => {
+  const start = new Date(startsAt)
+  const windowStart = new Date(start.getTime() - 240 * 60000) // longest allowed interview
+  const windowEnd = new Date(start.getTime() + durationMinutes * 60000)
+
+  const slots = await db.query('interview_slots', {
+    where: { interviewer_id: interviewerId, status: 'scheduled' },
+    filters: [
+      { column: 'starts_at', operator: 'gte', value: windowStart.toISOString() },
+      { column: 'starts_at', operator: 'lt', value: windowEnd.toISOString() }
+    ]
+  })
+
+  return slots.find(slot => slot.id !== excludeSlotId &&
+    slotsOverlap(slot.starts_at, slot.duration_minutes, start, durationMinutes)) || null
+}
+
 // @desc    Submit join club application
 // @route   POST /api/join
 // @access  Public
@@ -26,9 +103,54 @@ router.post('/', async (req, res, next) => {
       })
     }
 
-    // Check if email already exists in applications
+    // Applications are only accepted while a campaign is open
+    const campaign = await findOpenCampaign()
+
+    if (!campaign) {
+      const nextCampaign = await findNextCampaign()
+
+      return res.status(403).json({
+        success: false,
+        error: 'Applications are currently closed',
+        ...(nextCampaign && { nextOpening: nextCampaign.starts_at })
+      })
+    }
+
+    const recruitingDepartments = Object.keys(campaign.department_quotas || {})
+
+    if (recruitingDepartments.length > 0 && !recruitingDepartments.includes(value.preferredDepartment)) {
+      return res.status(400).json({
+        success: false,
+        error: 'This department is not recruiting in the current campaign',
+        recruitingDepartments
+      })
+    }
+
+    // Validate answers to the campaign's questions
+    const questions = questionsForApplicant(campaign.questions, [
+      value.preferredDepartment,
+      value.secondaryDepartment
+    ].filter(Boolean))
+
+    const { error: answersError, value: answers } = buildAnswersSchema(questions).validate(value.answers, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (answersError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: answersError.details.map(detail => ({
+          field: ['answers', ...detail.path].join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    // Check if email already applied in this campaign
     const existingApplication = await db.query('join_applications', {
-      where: { email: value.email }
+      where: { email: value.email, campaign_id: campaign.id }
     })
 
     if (existingApplication && existingApplication.length > 0) {
@@ -50,6 +172,9 @@ router.post('/', async (req, res, next) => {
       })
     }
 
+    // Secret token for the applicant's status page (only its hash is stored)
+    const trackingToken = generateOpaqueToken(24)
+
     // Prepare data for insertion
     const applicationData = {
       first_name: value.firstName,
@@ -65,11 +190,22 @@ router.post('/', async (req, res, next) => {
       secondary_department: value.secondaryDepartment || null,
       skills: value.skills || null,
       motivation: value.motivation,
-      status: 'pending'
+      campaign_id: campaign.id,
+      answers,
+      status: 'pending',
+      stage: 'screening',
+      tracking_token_hash: hashToken(trackingToken)
     }
 
+    // Guests recorded as leads at our events become regular applicants
+    const leads = await db.query('join_applications', {
+      where: { email: value.email, status: 'lead' }
+    })
+
     // Insert application into database
-    const result = await db.insert('join_applications', applicationData)
+    const result = leads.length > 0
+      ? await db.update('join_applications', leads[0].id, applicationData)
+      : await db.insert('join_applications', applicationData)
 
     if (!result || result.length === 0) {
       throw new Error('Failed to create application')
@@ -77,6 +213,10 @@ router.post('/', async (req, res, next) => {
 
     const application = result[0]
 
+    await recordApplicationHistory(application.id, 'submitted', { campaign: campaign.title })
+
+    const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000'
+
     // Send success response
     res.status(201).json({
       success: true,
@@ -85,7 +225,10 @@ router.post('/', async (req, res, next) => {
         id: application.id,
         email: application.email,
         status: application.status,
-        submittedAt: application.created_at
+        submittedAt: application.created_at,
+        // Shown only once: keep it to follow the application
+        trackingToken,
+        trackingUrl: `${frontendUrl}/join/track/${trackingToken}`
       }
     })
 
@@ -98,22 +241,38 @@ router.post('/', async (req, res, next) => {
   }
 })
 
-// @desc    Get all join applications (Admin only - for now, no auth implemented)
+// @desc    Get all join applications
 // @route   GET /api/join
-// @access  Admin
-router.get('/', async (req, res, next) => {
+// @access  Admin/Chef (chefs see applications to their department)
+router.get('/', authenticate, authorize('join:list'), async (req, res, next) => {
   try {
-    const { status, page = 1, limit = 10 } = req.query
+    const { status, stage, campaignId, page = 1, limit = 10 } = req.query
 
     const options = {
       orderBy: { column: 'created_at', ascending: false }
     }
 
-    if (status && ['pending', 'approved', 'rejected'].includes(status)) {
-      options.where = { status }
+    const whereConditions = {}
+
+    if (status && ['lead', 'pending', 'approved', 'rejected', 'withdrawn'].includes(status)) {
+      whereConditions.status = status
+    }
+
+    if (stage && PIPELINE_STAGES.includes(stage)) {
+      whereConditions.stage = stage
+    }
+
+    if (campaignId) {
+      whereConditions.campaign_id = campaignId
+    }
+
+    if (Object.keys(whereConditions).length > 0) {
+      options.where = whereConditions
     }
 
-    const applications = await db.query('join_applications', options)
+    // Chefs see the applications naming their department first or second
+    const applications = (await db.query('join_applications', options))
+      .filter(application => can(req.user, 'join:read', { resource: application }))
 
     // Calculate pagination
     const startIndex = (page - 1) * limit
@@ -139,7 +298,9 @@ router.get('/', async (req, res, next) => {
         fieldOfStudy: app.field_of_study,
         preferredDepartment: app.preferred_department,
         secondaryDepartment: app.secondary_department,
+        campaignId: app.campaign_id,
         status: app.status,
+        stage: app.stage,
         submittedAt: app.created_at,
         reviewedAt: app.reviewed_at
       }))
@@ -151,10 +312,308 @@ router.get('/', async (req, res, next) => {
   }
 })
 
+// @desc    Follow an application with its private tracking token
+// @route   GET /api/join/track/:token
+// @access  Public (tracking token holder)
+router.get('/track/:token', async (req, res, next) => {
+  try {
+    const application = await findApplicationByTrackingToken(req.params.token)
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      })
+    }
+
+    const history = await getApplicationHistory(application.id)
+    const interviews = await db.query('interview_slots', {
+      where: { application_id: application.id, status: 'scheduled' },
+      orderBy: { column: 'starts_at', ascending: true }
+    })
+
+    res.json({
+      success: true,
+      data: {
+        firstName: application.first_name,
+        lastName: application.last_name,
+        email: application.email,
+        phone: application.phone,
+        telegramId: application.telegram_id,
+        discordId: application.discord_id,
+        homeAddress: application.home_address,
+        preferredDepartment: application.preferred_department,
+        secondaryDepartment: application.secondary_department,
+        status: application.status,
+        stage: application.stage,
+        canEdit: application.status === 'pending',
+        upcomingInterviews: interviews.map(slot => ({
+          startsAt: slot.starts_at,
+          durationMinutes: slot.duration_minutes,
+          location: slot.location
+        })),
+        timeline: history.map(formatHistoryEntry),
+        submittedAt: application.created_at,
+        updatedAt: application.updated_at
+      }
+    })
+
+  } catch (error) {
+    console.error('Track application error:', error)
+    next(error)
+  }
+})
+
+// @desc    Correct contact details of a pending application
+// @route   PUT /api/join/track/:token/contact
+// @access  Public (tracking token holder)
+router.put('/track/:token/contact', async (req, res, next) => {
+  try {
+    const { error, value } = applicationContactSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const application = await findApplicationByTrackingToken(req.params.token)
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      })
+    }
+
+    if (application.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: 'Contact details can only be changed while the application is pending'
+      })
+    }
+
+    const updateData = {}
+    if (value.phone) updateData.phone = value.phone
+    if (value.telegramId !== undefined) updateData.telegram_id = value.telegramId || null
+    if (value.discordId !== undefined) updateData.discord_id = value.discordId || null
+    if (value.homeAddress !== undefined) updateData.home_address = value.homeAddress || null
+
+    const result = await db.update('join_applications', application.id, updateData)
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to update contact details')
+    }
+
+    await recordApplicationHistory(application.id, 'contact_updated', { fields: Object.keys(value) })
+
+    res.json({
+      success: true,
+      message: 'Contact details updated successfully',
+      data: {
+        phone: result[0].phone,
+        telegramId: result[0].telegram_id,
+        discordId: result[0].discord_id,
+        homeAddress: result[0].home_address,
+        updatedAt: result[0].updated_at
+      }
+    })
+
+  } catch (error) {
+    console.error('Update application contact error:', error)
+    next(error)
+  }
+})
+
+// @desc    Withdraw a pending application
+// @route   POST /api/join/track/:token/withdraw
+// @access  Public (tracking token holder)
+router.post('/track/:token/withdraw', async (req, res, next) => {
+  try {
+    const application = await findApplicationByTrackingToken(req.params.token)
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      })
+    }
+
+    if (application.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: 'Only pending applications can be withdrawn'
+      })
+    }
+
+    const result = await db.update('join_applications', application.id, { status: 'withdrawn' })
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to withdraw application')
+    }
+
+    // Free the interviewers' slots
+    const interviews = await db.query('interview_slots', {
+      where: { application_id: application.id, status: 'scheduled' }
+    })
+
+    for (const slot of interviews) {
+      await db.update('interview_slots', slot.id, { status: 'cancelled' })
+    }
+
+    await recordApplicationHistory(application.id, 'withdrawn')
+
+    res.json({
+      success: true,
+      message: 'Application withdrawn',
+      data: {
+        status: result[0].status,
+        updatedAt: result[0].updated_at
+      }
+    })
+
+    console.log(`Join application withdrawn: ${application.email} (ID: ${application.id})`)
+
+  } catch (error) {
+    console.error('Withdraw application error:', error)
+    next(error)
+  }
+})
+
+// @desc    Rank a department's applicants by average review score
+// @route   GET /api/join/rankings
+// @access  Admin/Chef (own department)
+router.get('/rankings', authenticate, async (req, res, next) => {
+  try {
+    const { department, stage, campaignId, status = 'pending' } = req.query
+
+    if (!['it', 'events', 'social-media', 'design', 'extern'].includes(department)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid department is required'
+      })
+    }
+
+    if (!can(req.user, 'join:rank', { data: { department } })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only view rankings for your own department'
+      })
+    }
+
+    const whereConditions = { preferred_department: department }
+
+    if (['pending', 'approved', 'rejected'].includes(status)) {
+      whereConditions.status = status
+    }
+
+    if (stage && PIPELINE_STAGES.includes(stage)) {
+      whereConditions.stage = stage
+    }
+
+    let seats = null
+
+    if (campaignId) {
+      whereConditions.campaign_id = campaignId
+
+      const campaign = await db.findById('recruitment_campaigns', campaignId)
+      if (campaign) {
+        seats = (await getSeatUsage(campaign))[department] || null
+      }
+    }
+
+    const applications = await db.query('join_applications', { where: whereConditions })
+
+    const reviews = applications.length > 0
+      ? await db.query('application_reviews', {
+        filters: [{ column: 'application_id', operator: 'in', value: applications.map(app => app.id) }]
+      })
+      : []
+
+    const ranking = rankApplications(applications, reviews)
+
+    res.json({
+      success: true,
+      department,
+      ...(seats && { seats }),
+      count: ranking.length,
+      data: ranking.map(({ rank, application, summary }) => ({
+        rank,
+        id: application.id,
+        name: `${application.first_name} ${application.last_name}`,
+        email: application.email,
+        stage: application.stage,
+        status: application.status,
+        averageScore: summary.averageScore,
+        reviewCount: summary.reviewCount,
+        scoresByStage: summary.byStage
+      }))
+    })
+
+  } catch (error) {
+    console.error('Get application rankings error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get scheduled interviews
+// @route   GET /api/join/interviews
+// @access  Admin/Chef (chefs see their own interviews)
+router.get('/interviews', authenticate, authorize('join:list'), async (req, res, next) => {
+  try {
+    const { from, to, status, interviewerId } = req.query
+
+    const whereConditions = {}
+    const filters = []
+
+    if (status && ['scheduled', 'completed', 'cancelled', 'no_show'].includes(status)) {
+      whereConditions.status = status
+    }
+
+    if (!can(req.user, 'join:listAll')) {
+      whereConditions.interviewer_id = req.user.id
+    } else if (interviewerId) {
+      whereConditions.interviewer_id = interviewerId
+    }
+
+    if (from && !isNaN(Date.parse(from))) {
+      filters.push({ column: 'starts_at', operator: 'gte', value: new Date(from).toISOString() })
+    }
+
+    if (to && !isNaN(Date.parse(to))) {
+      filters.push({ column: 'starts_at', operator: 'lte', value: new Date(to).toISOString() })
+    }
+
+    const slots = await db.query('interview_slots', {
+      where: whereConditions,
+      filters,
+      orderBy: { column: 'starts_at', ascending: true }
+    })
+
+    res.json({
+      success: true,
+      count: slots.length,
+      data: slots.map(formatInterviewSlot)
+    })
+
+  } catch (error) {
+    console.error('Get interviews error:', error)
+    next(error)
+  }
+})
+
 // @desc    Get single join application by ID
 // @route   GET /api/join/:id
-// @access  Admin
-router.get('/:id', async (req, res, next) => {
+// @access  Admin/Chef (applications to their department)
+router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params
 
@@ -167,6 +626,18 @@ router.get('/:id', async (req, res, next) => {
       })
     }
 
+    if (!can(req.user, 'join:read', { resource: application })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only view applications to your own department'
+      })
+    }
+
+    const reviews = await db.query('application_reviews', {
+      where: { application_id: id }
+    })
+    const history = await getApplicationHistory(id)
+
     res.json({
       success: true,
       data: {
@@ -178,16 +649,23 @@ router.get('/:id', async (req, res, next) => {
         telegramId: application.telegram_id,
         discordId: application.discord_id,
         homeAddress: application.home_address,
+        studentId: application.student_id,
         academicYear: application.academic_year,
         fieldOfStudy: application.field_of_study,
         preferredDepartment: application.preferred_department,
         secondaryDepartment: application.secondary_department,
         skills: application.skills,
         motivation: application.motivation,
+        campaignId: application.campaign_id,
+        answers: application.answers,
         status: application.status,
+        stage: application.stage,
+        reviewSummary: summarizeReviews(reviews),
+        timeline: history.map(entry => ({ ...formatHistoryEntry(entry), actorId: entry.actor_id })),
         submittedAt: application.created_at,
         reviewedAt: application.reviewed_at,
-        reviewedBy: application.reviewed_by
+        reviewedBy: application.reviewed_by,
+        userId: application.user_id
       }
     })
 
@@ -197,49 +675,519 @@ router.get('/:id', async (req, res, next) => {
   }
 })
 
-// @desc    Update application status
-// @route   PUT /api/join/:id/status
+// @desc    Move an application to the next pipeline stage
+// @route   PUT /api/join/:id/stage
 // @access  Admin
-router.put('/:id/status', async (req, res, next) => {
+router.put('/:id/stage', authenticate, authorize('join:advance'), async (req, res, next) => {
   try {
     const { id } = req.params
-    const { status, reviewedBy } = req.body
+    const { stage } = req.body
 
-    if (!['pending', 'approved', 'rejected'].includes(status)) {
+    if (!SCORING_STAGES.includes(stage)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid status. Must be pending, approved, or rejected'
+        error: 'Invalid stage. Must be screening, interview or deliberation (use the status endpoint for the final decision)'
       })
     }
 
-    const updateData = {
-      status,
-      reviewed_at: new Date().toISOString()
-    }
+    const application = await db.findById('join_applications', id)
 
-    if (reviewedBy) {
-      updateData.reviewed_by = reviewedBy
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      })
     }
 
-    const result = await db.update('join_applications', id, updateData)
+    if (application.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        error: 'A decision has already been made on this application'
+      })
+    }
 
-    if (!result || result.length === 0) {
-      return res.status(404).json({
+    if (!isNextStage(application.stage, stage)) {
+      return res.status(409).json({
         success: false,
-        error: 'Application not found'
+        error: `Application is in ${application.stage} and can only move to the next stage`
       })
     }
 
-    res.json({
-      success: true,
-      message: `Application status updated to ${status}`,
-      data: {
+    const result = await db.update('join_applications', id, { stage })
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to update application stage')
+    }
+
+    await recordApplicationHistory(id, 'stage_changed', { from: application.stage, to: stage }, req.user.id)
+
+    res.json({
+      success: true,
+      message: `Application moved to ${stage}`,
+      data: {
+        id: result[0].id,
+        stage: result[0].stage,
+        status: result[0].status
+      }
+    })
+
+  } catch (error) {
+    console.error('Update application stage error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get the reviews of an application
+// @route   GET /api/join/:id/reviews
+// @access  Admin/Chef (applications to their department)
+router.get('/:id/reviews', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const application = await db.findById('join_applications', id)
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      })
+    }
+
+    if (!can(req.user, 'join:read', { resource: application })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only view applications to your own department'
+      })
+    }
+
+    const reviews = await db.query('application_reviews', {
+      where: { application_id: id },
+      orderBy: { column: 'created_at', ascending: true }
+    })
+
+    res.json({
+      success: true,
+      rubric: REVIEW_RUBRIC,
+      summary: summarizeReviews(reviews),
+      data: reviews.map(formatReview)
+    })
+
+  } catch (error) {
+    console.error('Get application reviews error:', error)
+    next(error)
+  }
+})
+
+// @desc    Score an application for its current stage (re-submitting replaces your score)
+// @route   POST /api/join/:id/reviews
+// @access  Admin/Chef (applications to their department)
+router.post('/:id/reviews', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const { error, value } = applicationReviewSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const application = await db.findById('join_applications', id)
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      })
+    }
+
+    if (!can(req.user, 'join:score', { resource: application })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only score applications to your own department'
+      })
+    }
+
+    if (application.status !== 'pending' || !SCORING_STAGES.includes(application.stage)) {
+      return res.status(409).json({
+        success: false,
+        error: 'This application is no longer open for review'
+      })
+    }
+
+    const reviewData = {
+      application_id: id,
+      reviewer_id: req.user.id,
+      stage: application.stage,
+      department: isChef(req.user) ? req.user.department : null,
+      scores: value.scores,
+      total_score: computeReviewScore(value.scores),
+      comment: value.comment || null
+    }
+
+    const existingReview = await db.query('application_reviews', {
+      where: { application_id: id, reviewer_id: req.user.id, stage: application.stage }
+    })
+
+    const result = existingReview && existingReview.length > 0
+      ? await db.update('application_reviews', existingReview[0].id, reviewData)
+      : await db.insert('application_reviews', reviewData)
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to save review')
+    }
+
+    res.status(existingReview.length > 0 ? 200 : 201).json({
+      success: true,
+      message: existingReview.length > 0 ? 'Review updated successfully' : 'Review submitted successfully',
+      data: formatReview(result[0])
+    })
+
+  } catch (error) {
+    console.error('Submit application review error:', error)
+    next(error)
+  }
+})
+
+// @desc    Schedule an interview for an application
+// @route   POST /api/join/:id/interviews
+// @access  Admin/Chef (applications to their department)
+router.post('/:id/interviews', authenticate, async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const { error, value } = interviewSlotSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const application = await db.findById('join_applications', id)
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      })
+    }
+
+    if (!can(req.user, 'join:scheduleInterview', { resource: application })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only schedule interviews for applications to your own department'
+      })
+    }
+
+    if (application.status !== 'pending' || application.stage !== 'interview') {
+      return res.status(409).json({
+        success: false,
+        error: 'Interviews can only be scheduled for applications in the interview stage'
+      })
+    }
+
+    const interviewerId = value.interviewerId || req.user.id
+
+    if (interviewerId !== req.user.id) {
+      const interviewers = await db.query('users', { where: { id: interviewerId } })
+      const interviewer = interviewers && interviewers[0]
+
+      if (!interviewer || !interviewer.is_active || interviewer.role === 'membre') {
+        return res.status(400).json({
+          success: false,
+          error: 'Interviewer must be an active admin or department head'
+        })
+      }
+    }
+
+    const conflict = await findInterviewerConflict(interviewerId, value.startsAt, value.durationMinutes)
+
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        error: 'The interviewer already has an interview at this time',
+        conflict: formatInterviewSlot(conflict)
+      })
+    }
+
+    const result = await db.insert('interview_slots', {
+      application_id: id,
+      interviewer_id: interviewerId,
+      starts_at: new Date(value.startsAt).toISOString(),
+      duration_minutes: value.durationMinutes,
+      location: value.location || null,
+      status: 'scheduled',
+      created_by: req.user.id
+    })
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to schedule interview')
+    }
+
+    await recordApplicationHistory(id, 'interview_scheduled', {
+      startsAt: result[0].starts_at,
+      durationMinutes: result[0].duration_minutes,
+      location: result[0].location
+    }, req.user.id)
+
+    res.status(201).json({
+      success: true,
+      message: 'Interview scheduled successfully',
+      data: formatInterviewSlot(result[0])
+    })
+
+  } catch (error) {
+    console.error('Schedule interview error:', error)
+    next(error)
+  }
+})
+
+// @desc    Reschedule, cancel or record the outcome of an interview
+// @route   PUT /api/join/:id/interviews/:slotId
+// @access  Admin/Chef (applications to their department)
+router.put('/:id/interviews/:slotId', authenticate, async (req, res, next) => {
+  try {
+    const { id, slotId } = req.params
+
+    const { error, value } = interviewSlotUpdateSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    const application = await db.findById('join_applications', id)
+    const slots = await db.query('interview_slots', { where: { id: slotId, application_id: id } })
+    const slot = slots && slots[0]
+
+    if (!application || !slot) {
+      return res.status(404).json({
+        success: false,
+        error: 'Interview not found'
+      })
+    }
+
+    if (!can(req.user, 'join:scheduleInterview', { resource: application })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only manage interviews for applications to your own department'
+      })
+    }
+
+    const updateData = {}
+    if (value.startsAt) updateData.starts_at = new Date(value.startsAt).toISOString()
+    if (value.durationMinutes) updateData.duration_minutes = value.durationMinutes
+    if (value.location !== undefined) updateData.location = value.location || null
+    if (value.status) updateData.status = value.status
+    if (value.notes !== undefined) updateData.notes = value.notes || null
+
+    const staysScheduled = (updateData.status || slot.status) === 'scheduled'
+
+    if (staysScheduled && (updateData.starts_at || updateData.duration_minutes)) {
+      const conflict = await findInterviewerConflict(
+        slot.interviewer_id,
+        updateData.starts_at || slot.starts_at,
+        updateData.duration_minutes || slot.duration_minutes,
+        slot.id
+      )
+
+      if (conflict) {
+        return res.status(409).json({
+          success: false,
+          error: 'The interviewer already has an interview at this time',
+          conflict: formatInterviewSlot(conflict)
+        })
+      }
+    }
+
+    const result = await db.update('interview_slots', slotId, updateData)
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to update interview')
+    }
+
+    if (updateData.status || updateData.starts_at || updateData.location !== undefined) {
+      await recordApplicationHistory(id, 'interview_updated', {
+        status: result[0].status,
+        startsAt: result[0].starts_at,
+        location: result[0].location
+      }, req.user.id)
+    }
+
+    res.json({
+      success: true,
+      message: 'Interview updated successfully',
+      data: formatInterviewSlot(result[0])
+    })
+
+  } catch (error) {
+    console.error('Update interview error:', error)
+    next(error)
+  }
+})
+
+// @desc    Record the final decision on an application (approval provisions the member account)
+// @route   PUT /api/join/:id/status
+// @access  Admin
+router.put('/:id/status', authenticate, authorize('join:review'), async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const { status } = req.body
+
+    if (!['pending', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid status. Must be pending, approved, or rejected'
+      })
+    }
+
+    const application = await db.findById('join_applications', id)
+
+    if (!application) {
+      return res.status(404).json({
+        success: false,
+        error: 'Application not found'
+      })
+    }
+
+    if (application.status === 'withdrawn') {
+      return res.status(409).json({
+        success: false,
+        error: 'This application has been withdrawn by the applicant'
+      })
+    }
+
+    if (application.status === 'lead') {
+      return res.status(409).json({
+        success: false,
+        error: 'Leads have not applied yet, there is no application to decide on'
+      })
+    }
+
+    // Once a member account exists the decision is final
+    if (application.status === 'approved' && status !== 'approved') {
+      return res.status(409).json({
+        success: false,
+        error: 'This application has already been approved and a member account was created'
+      })
+    }
+
+    // Candidates can be turned down at any stage, but only accepted after deliberation
+    if (status === 'approved' && !['deliberation', 'decision'].includes(application.stage)) {
+      return res.status(409).json({
+        success: false,
+        error: 'Applications can only be approved once they reach the deliberation stage'
+      })
+    }
+
+    // Respect the campaign's seat quota for the department
+    if (status === 'approved' && application.status !== 'approved' && application.campaign_id) {
+      const campaign = await db.findById('recruitment_campaigns', application.campaign_id)
+      const seats = campaign && (await getSeatUsage(campaign))[application.preferred_department]
+
+      if (seats && seats.remaining === 0) {
+        return res.status(409).json({
+          success: false,
+          error: `All ${seats.quota} seats for this department are filled in this campaign`
+        })
+      }
+    }
+
+    const updateData = {
+      status,
+      reviewed_by: req.user.id,
+      reviewed_at: new Date().toISOString()
+    }
+
+    if (status !== 'pending') {
+      updateData.stage = 'decision'
+    } else if (application.status === 'rejected') {
+      // Re-opening a rejected application sends it back to deliberation
+      updateData.stage = 'deliberation'
+    }
+
+    let member = null
+    let invitation = null
+
+    if (status === 'approved') {
+      const { user, created } = await provisionMemberFromApplication(application)
+      updateData.user_id = user.id
+
+      // Members who already set a password don't need a new invitation
+      if (!user.password_hash) {
+        invitation = await createInvitation(user.id, req.user.id)
+      }
+
+      member = {
+        id: user.id,
+        email: user.email,
+        role: user.role,
+        department: user.department,
+        created
+      }
+
+      // Re-approving keeps the original review record
+      if (application.status === 'approved') {
+        delete updateData.reviewed_by
+        delete updateData.reviewed_at
+      }
+    }
+
+    const result = await db.update('join_applications', id, updateData)
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to update application status')
+    }
+
+    if (application.status !== status) {
+      await recordApplicationHistory(id, 'status_changed', { status }, req.user.id)
+    }
+
+    res.json({
+      success: true,
+      message: `Application status updated to ${status}`,
+      data: {
         id: result[0].id,
         status: result[0].status,
-        reviewedAt: result[0].reviewed_at
+        stage: result[0].stage,
+        reviewedBy: result[0].reviewed_by,
+        reviewedAt: result[0].reviewed_at,
+        ...(member && { member }),
+        ...(invitation && { invitation })
       }
     })
 
+    if (member && member.created) {
+      console.log(`Member account provisioned from application ${id}: ${member.email} (ID: ${member.id})`)
+    }
+
   } catch (error) {
     console.error('Update application status error:', error)
     next(error)
@@ -0,0 +1,101 @@
+import express from 'express'
+import { db } from '../config/database.js'
+import { authenticate } from '../middleware/auth.js'
+import { getEventEnd } from '../utils/eventTime.js'
+import { canCancelRegistration, getCancellationDeadline } from '../utils/eventLifecycle.js'
+
+const router = express.Router()
+
+// All routes are about the authenticated user
+router.use(authenticate)
+
+// What became of a registration: its status while the event is upcoming,
+// then whether the member showed up
+const attendanceStatus = (registration, event, isPast) => {
+  if (['attended', 'cancelled'].includes(registration.status)) return registration.status
+  if (event.status === 'cancelled') return 'event_cancelled'
+  if (!isPast) return registration.status
+  return registration.status === 'registered' ? 'no_show' : 'not_admitted'
+}
+
+// @desc    Get my event registrations, upcoming and past
+// @route   GET /api/me/registrations
+// @access  Private
+router.get('/registrations', async (req, res, next) => {
+  try {
+    const { includeCancelled } = req.query
+
+    const options = {
+      where: { user_id: req.user.id }
+    }
+
+    if (includeCancelled !== 'true') {
+      options.filters = [{ column: 'status', operator: 'neq', value: 'cancelled' }]
+    }
+
+    const registrations = await db.query('event_registrations', options)
+    const eventIds = registrations.map(registration => registration.event_id)
+
+    const events = eventIds.length > 0
+      ? await db.query('events', {
+        filters: [{ column: 'id', operator: 'in', value: eventIds }],
+        orderBy: { column: 'event_date', ascending: true }
+      })
+      : []
+
+    const registrationsByEvent = new Map(registrations.map(registration => [registration.event_id, registration]))
+    const now = new Date()
+    const upcoming = []
+    const past = []
+
+    for (const event of events) {
+      const registration = registrationsByEvent.get(event.id)
+      const isPast = event.status === 'completed' || getEventEnd(event) <= now
+      const canCancel = !isPast && canCancelRegistration(registration, event)
+
+      const entry = {
+        registrationId: registration.id,
+        status: registration.status,
+        attendance: attendanceStatus(registration, event, isPast),
+        registeredAt: registration.registration_date,
+        checkedInAt: registration.checked_in_at,
+        rescheduleResponse: registration.reschedule_response,
+        canCancel,
+        ...(canCancel && registration.status === 'registered' && {
+          cancelBefore: getCancellationDeadline(event)
+        }),
+        event: {
+          id: event.id,
+          title: event.title,
+          eventDate: event.event_date,
+          eventTime: event.event_time,
+          location: event.location,
+          imageThumbnailUrl: event.image_thumbnail_url,
+          status: event.status
+        }
+      }
+
+      if (isPast) {
+        past.push(entry)
+      } else {
+        upcoming.push(entry)
+      }
+    }
+
+    res.json({
+      success: true,
+      count: registrations.length,
+      data: {
+        upcoming,
+        // Most recent first
+        past: past.reverse()
+      }
+    })
+
+  } catch (error) {
+    console.error('Get my registrations error:', error)
+    next(error)
+  }
+})
+
+export default router
@@ -0,0 +1,109 @@
+import express from 'express'
+import { db, supabase } from '../config/database.js'
+import { authenticate } from '../middleware/auth.js'
+import { formatNotification } from '../utils/notifications.js'
+
+const router = express.Router()
+
+// All notification routes require an authenticated user
+router.use(authenticate)
+
+// @desc    Get my notifications
+// @route   GET /api/notifications
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query
+
+    const options = {
+      where: { user_id: req.user.id },
+      orderBy: { column: 'created_at', ascending: false }
+    }
+
+    if (unread === 'true') {
+      options.filters = [{ column: 'read_at', operator: 'is', value: null }]
+    }
+
+    const notifications = await db.query('notifications', options)
+
+    // Pagination
+    const startIndex = (parseInt(page) - 1) * parseInt(limit)
+    const endIndex = parseInt(page) * parseInt(limit)
+    const paginatedNotifications = notifications.slice(startIndex, endIndex)
+
+    res.json({
+      success: true,
+      count: paginatedNotifications.length,
+      total: notifications.length,
+      unread: notifications.filter(notification => !notification.read_at).length,
+      data: paginatedNotifications.map(formatNotification)
+    })
+
+  } catch (error) {
+    console.error('Get notifications error:', error)
+    next(error)
+  }
+})
+
+// @desc    Mark all my notifications as read
+// @route   PUT /api/notifications/read-all
+// @access  Private
+router.put('/read-all', async (req, res, next) => {
+  try {
+    const { error } = await supabase
+      .from('notifications')
+      .update({ read_at: new Date().toISOString() })
+      .eq('user_id', req.user.id)
+      .is('read_at', null)
+
+    if (error) throw error
+
+    res.json({
+      success: true,
+      message: 'All notifications marked as read'
+    })
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error)
+    next(error)
+  }
+})
+
+// @desc    Mark a notification as read
+// @route   PUT /api/notifications/:id/read
+// @access  Private (recipient)
+router.put('/:id/read', async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const notifications = await db.query('notifications', {
+      where: { id, user_id: req.user.id }
+    })
+
+    if (!notifications || notifications.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification not found'
+      })
+    }
+
+    const result = await db.update('notifications', id, {
+      read_at: notifications[0].read_at || new Date().toISOString()
+    })
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to update notification')
+    }
+
+    res.json({
+      success: true,
+      data: formatNotification(result[0])
+    })
+
+  } catch (error) {
+    console.error('Mark notification read error:', error)
+    next(error)
+  }
+})
+
+export default router
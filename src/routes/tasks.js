@@ -1,12 +1,147 @@
 import express from 'express'
 import { db } from '../config/database.js'
-import { taskSchema } from '../utils/validation.js'
+import {
+  taskSchema,
+  taskCommentSchema,
+  taskCommentUpdateSchema,
+  checklistItemSchema,
+  checklistItemUpdateSchema,
+  taskDependencySchema,
+  taskAssigneeUpdateSchema,
+  boardColumnSchema,
+  boardColumnUpdateSchema,
+  taskMoveSchema
+} from '../utils/validation.js'
+import { authenticate } from '../middleware/auth.js'
+import { can, isChef } from '../utils/permissions.js'
+import { notifyUser, notifyUsers } from '../utils/notifications.js'
+import {
+  recordTaskActivity,
+  diffTaskActivity,
+  getTaskActivity,
+  formatActivityEntry
+} from '../utils/taskActivity.js'
+import { getTaskComments, buildCommentThreads, formatComment } from '../utils/taskComments.js'
+import {
+  getSubtasks,
+  getChecklist,
+  computeProgress,
+  getCompletionBlockers,
+  getReopenBlocker,
+  createsDependencyCycle,
+  refreshTaskProgress,
+  refreshBlockedTasks,
+  formatChecklistItem,
+  formatSubtask
+} from '../utils/taskStructure.js'
+import {
+  findTask,
+  getTaskAssignees,
+  getAssignedTaskIds,
+  getDepartmentMembers,
+  summarizeAssignees,
+  formatAssignee
+} from '../utils/taskAssignees.js'
+import { isTaskOverdue } from '../utils/taskDeadlines.js'
+import {
+  getCustomColumns,
+  buildBoardColumns,
+  buildBoard,
+  formatBoardColumn,
+  moveTask
+} from '../utils/taskBoard.js'
 
 const router = express.Router()
 
+// All task routes require an authenticated user
+router.use(authenticate)
+
+const validationError = (res, error) => {
+  return res.status(400).json({
+    success: false,
+    error: 'Validation error',
+    details: error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    }))
+  })
+}
+
+// Mentioned users must exist and be able to open the task
+const findMentionProblems = async (mentions, task) => {
+  if (mentions.length === 0) return []
+
+  const users = await db.query('users', {
+    select: 'id, role, department, is_active',
+    filters: [{ column: 'id', operator: 'in', value: mentions }]
+  })
+
+  return mentions.filter(userId => {
+    const user = users.find(candidate => candidate.id === userId)
+    return !user || !user.is_active || !can(user, 'tasks:read', { resource: task })
+  })
+}
+
+// Find a comment of the task, or answer 404
+const findTaskComment = async (res, taskId, commentId) => {
+  const comments = await db.query('task_comments', {
+    where: { id: commentId, task_id: taskId }
+  })
+
+  if (comments.length === 0 || comments[0].deleted_at) {
+    res.status(404).json({
+      success: false,
+      error: 'Comment not found'
+    })
+    return null
+  }
+
+  return comments[0]
+}
+
+// Bring what follows a task's status and progress in step after an update:
+// its only assignee's share, the activity log, its parent and the tasks it blocks
+const syncTaskChange = async (existingTask, task, assignees, actorId) => {
+  if (assignees.length === 1) {
+    await db.update('task_assignees', assignees[0].id, {
+      user_id: task.assigned_to,
+      status: task.status,
+      progress: task.progress,
+      completed_at: task.completed_at
+    })
+  }
+
+  await recordTaskActivity(task.id, diffTaskActivity(existingTask, task), actorId)
+
+  if (task.parent_id && (task.status !== existingTask.status || task.progress !== existingTask.progress)) {
+    await refreshTaskProgress(task.parent_id, actorId)
+  }
+
+  if (task.status === 'completed' && existingTask.status !== 'completed') {
+    await refreshBlockedTasks(task.id, actorId)
+  }
+}
+
+// Find a checklist item of the task, or answer 404
+const findChecklistItem = async (res, taskId, itemId) => {
+  const items = await db.query('task_checklist_items', {
+    where: { id: itemId, task_id: taskId }
+  })
+
+  if (items.length === 0) {
+    res.status(404).json({
+      success: false,
+      error: 'Checklist item not found'
+    })
+    return null
+  }
+
+  return items[0]
+}
+
 // @desc    Get all tasks
 // @route   GET /api/tasks
-// @access  Public (filtered by user for members)
+// @access  Private (admins see all tasks, chefs their department's, members their own)
 router.get('/', async (req, res, next) => {
   try {
     const { 
@@ -15,6 +150,10 @@ router.get('/', async (req, res, next) => {
       status, 
       priority, 
       department, 
+      parentId,
+      overdue,
+      dueBefore,
+      dueAfter,
       page = 1, 
       limit = 10 
     } = req.query
@@ -25,7 +164,6 @@ router.get('/', async (req, res, next) => {
 
     const whereConditions = {}
 
-    if (assignedTo) whereConditions.assigned_to = assignedTo
     if (assignedBy) whereConditions.assigned_by = assignedBy
     if (status && ['pending', 'in-progress', 'completed'].includes(status)) {
       whereConditions.status = status
@@ -36,18 +174,62 @@ router.get('/', async (req, res, next) => {
     if (department && ['it', 'events', 'social-media', 'design', 'extern'].includes(department)) {
       whereConditions.department = department
     }
+    if (parentId) whereConditions.parent_id = parentId
+
+    // Assignees are listed in task_assignees, so these filters go by task ID
+    let taskIds = assignedTo ? await getAssignedTaskIds(assignedTo) : null
+
+    // Scope the listing to what the user may see
+    if (!can(req.user, 'tasks:listAll')) {
+      if (isChef(req.user)) {
+        whereConditions.department = req.user.department
+      } else {
+        const myTaskIds = await getAssignedTaskIds(req.user.id)
+        taskIds = taskIds ? taskIds.filter(taskId => myTaskIds.includes(taskId)) : myTaskIds
+      }
+    }
 
     if (Object.keys(whereConditions).length > 0) {
       options.where = whereConditions
     }
 
-    const tasks = await db.query('tasks', options)
+    const filters = []
+
+    if (taskIds) {
+      filters.push({ column: 'id', operator: 'in', value: taskIds })
+    }
+
+    if (overdue === 'true') {
+      filters.push({ column: 'due_date', operator: 'lt', value: new Date().toISOString() })
+      filters.push({ column: 'status', operator: 'neq', value: 'completed' })
+    }
+
+    if (dueBefore && !isNaN(Date.parse(dueBefore))) {
+      filters.push({ column: 'due_date', operator: 'lte', value: new Date(dueBefore).toISOString() })
+    }
+
+    if (dueAfter && !isNaN(Date.parse(dueAfter))) {
+      filters.push({ column: 'due_date', operator: 'gte', value: new Date(dueAfter).toISOString() })
+    }
+
+    if (filters.length > 0) {
+      options.filters = filters
+    }
+
+    const tasks = taskIds && taskIds.length === 0 ? [] : await db.query('tasks', options)
 
     // Pagination
     const startIndex = (parseInt(page) - 1) * parseInt(limit)
     const endIndex = parseInt(page) * parseInt(limit)
     const paginatedTasks = tasks.slice(startIndex, endIndex)
 
+    const assignments = paginatedTasks.length > 0
+      ? await db.query('task_assignees', {
+        filters: [{ column: 'task_id', operator: 'in', value: paginatedTasks.map(task => task.id) }]
+      })
+      : []
+    const assigneesOf = (taskId) => assignments.filter(assignment => assignment.task_id === taskId)
+
     const formattedTasks = paginatedTasks.map(task => ({
       id: task.id,
       title: task.title,
@@ -56,9 +238,13 @@ router.get('/', async (req, res, next) => {
       priority: task.priority,
       progress: task.progress,
       dueDate: task.due_date,
+      isOverdue: isTaskOverdue(task),
       category: task.category,
+      parentId: task.parent_id,
       assignedBy: task.assigned_by,
       assignedTo: task.assigned_to,
+      assignees: assigneesOf(task.id).map(assignment => assignment.user_id),
+      assigneeSummary: summarizeAssignees(assigneesOf(task.id)),
       assignedDate: task.assigned_date,
       department: task.department,
       completedAt: task.completed_at,
@@ -79,14 +265,211 @@ router.get('/', async (req, res, next) => {
   }
 })
 
+// @desc    Get the task board of a department or a user, tasks grouped by column
+// @route   GET /api/tasks/board
+// @access  Admin/Chef for department boards, everyone for their own board
+router.get('/board', async (req, res, next) => {
+  try {
+    const { department } = req.query
+    // Without a department the board shows the tasks of a user, by default mine
+    const userId = req.query.userId || (department ? null : req.user.id)
+
+    if (department && !['it', 'events', 'social-media', 'design', 'extern'].includes(department)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid department'
+      })
+    }
+
+    if (!can(req.user, 'tasks:viewBoard', { data: { department, userId } })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to view this board'
+      })
+    }
+
+    const options = {}
+
+    if (department) options.where = { department }
+
+    let tasks = []
+
+    if (userId) {
+      const taskIds = await getAssignedTaskIds(userId)
+
+      if (taskIds.length > 0) {
+        options.filters = [{ column: 'id', operator: 'in', value: taskIds }]
+        tasks = await db.query('tasks', options)
+      }
+    } else {
+      tasks = await db.query('tasks', options)
+    }
+
+    const columns = buildBoardColumns(await getCustomColumns(department || null))
+
+    res.json({
+      success: true,
+      data: {
+        department: department || null,
+        userId,
+        columns: buildBoard(columns, tasks)
+      }
+    })
+
+  } catch (error) {
+    console.error('Get task board error:', error)
+    next(error)
+  }
+})
+
+// @desc    Add a custom column to the task board
+// @route   POST /api/tasks/board/columns
+// @access  Admin, Chef for their department's board
+router.post('/board/columns', async (req, res, next) => {
+  try {
+    const { error, value } = boardColumnSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return validationError(res, error)
+    }
+
+    // Department heads add columns to their own department's board by default
+    if (value.department === undefined) {
+      value.department = isChef(req.user) ? req.user.department : null
+    }
+
+    if (!can(req.user, 'tasks:manageBoard', { data: value })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to change this board'
+      })
+    }
+
+    const result = await db.insert('task_board_columns', {
+      department: value.department,
+      name: value.name,
+      status: value.status,
+      position: value.position,
+      created_by: req.user.id
+    })
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to create board column')
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Board column created',
+      data: formatBoardColumn(result[0])
+    })
+
+  } catch (error) {
+    console.error('Create board column error:', error)
+    next(error)
+  }
+})
+
+// @desc    Rename or reorder a custom board column
+// @route   PUT /api/tasks/board/columns/:columnId
+// @access  Admin, Chef for their department's board
+router.put('/board/columns/:columnId', async (req, res, next) => {
+  try {
+    const { columnId } = req.params
+
+    const { error, value } = boardColumnUpdateSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return validationError(res, error)
+    }
+
+    const columns = await db.query('task_board_columns', { where: { id: columnId } })
+
+    if (columns.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Board column not found'
+      })
+    }
+
+    if (!can(req.user, 'tasks:manageBoard', { data: { department: columns[0].department } })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to change this board'
+      })
+    }
+
+    const result = await db.update('task_board_columns', columnId, value)
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to update board column')
+    }
+
+    res.json({
+      success: true,
+      message: 'Board column updated',
+      data: formatBoardColumn(result[0])
+    })
+
+  } catch (error) {
+    console.error('Update board column error:', error)
+    next(error)
+  }
+})
+
+// @desc    Remove a custom board column, its tasks go back to their status column
+// @route   DELETE /api/tasks/board/columns/:columnId
+// @access  Admin, Chef for their department's board
+router.delete('/board/columns/:columnId', async (req, res, next) => {
+  try {
+    const { columnId } = req.params
+
+    const columns = await db.query('task_board_columns', { where: { id: columnId } })
+
+    if (columns.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Board column not found'
+      })
+    }
+
+    if (!can(req.user, 'tasks:manageBoard', { data: { department: columns[0].department } })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to change this board'
+      })
+    }
+
+    const success = await db.delete('task_board_columns', columnId)
+
+    if (!success) {
+      throw new Error('Failed to delete board column')
+    }
+
+    res.json({
+      success: true,
+      message: 'Board column removed'
+    })
+
+  } catch (error) {
+    console.error('Delete board column error:', error)
+    next(error)
+  }
+})
+
 // @desc    Get single task by ID
 // @route   GET /api/tasks/:id
-// @access  Public (owner/assignee only)
+// @access  Admin/Chef/Creator/Assignee
 router.get('/:id', async (req, res, next) => {
   try {
     const { id } = req.params
 
-    const task = await db.findById('tasks', id)
+    const task = await findTask(id)
 
     if (!task) {
       return res.status(404).json({
@@ -95,6 +478,34 @@ router.get('/:id', async (req, res, next) => {
       })
     }
 
+    if (!can(req.user, 'tasks:read', { resource: task })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to view this task'
+      })
+    }
+
+    const comments = await getTaskComments(id)
+    const activity = await getTaskActivity(id)
+    const subtasks = await getSubtasks(id)
+    const checklist = await getChecklist(id)
+    const assignees = await getTaskAssignees(id)
+
+    const blockedByLinks = await db.query('task_dependencies', { where: { task_id: id } })
+    const blockingLinks = await db.query('task_dependencies', { where: { blocked_by_id: id } })
+    const linkedIds = [
+      ...blockedByLinks.map(link => link.blocked_by_id),
+      ...blockingLinks.map(link => link.task_id)
+    ]
+
+    const linkedTasks = linkedIds.length > 0
+      ? await db.query('tasks', {
+        select: 'id, title, status',
+        filters: [{ column: 'id', operator: 'in', value: linkedIds }]
+      })
+      : []
+    const linkedTask = (taskId) => linkedTasks.find(linked => linked.id === taskId)
+
     res.json({
       success: true,
       data: {
@@ -105,14 +516,24 @@ router.get('/:id', async (req, res, next) => {
         priority: task.priority,
         progress: task.progress,
         dueDate: task.due_date,
+        isOverdue: isTaskOverdue(task),
         category: task.category,
+        parentId: task.parent_id,
         assignedBy: task.assigned_by,
         assignedTo: task.assigned_to,
+        assignees: assignees.map(formatAssignee),
+        assigneeSummary: summarizeAssignees(assignees),
         assignedDate: task.assigned_date,
         department: task.department,
         completedAt: task.completed_at,
         createdAt: task.created_at,
-        updatedAt: task.updated_at
+        updatedAt: task.updated_at,
+        subtasks: subtasks.map(formatSubtask),
+        checklist: checklist.map(formatChecklistItem),
+        blockedBy: blockedByLinks.map(link => linkedTask(link.blocked_by_id)).filter(Boolean),
+        blocking: blockingLinks.map(link => linkedTask(link.task_id)).filter(Boolean),
+        comments: buildCommentThreads(comments),
+        activity: activity.map(formatActivityEntry)
       }
     })
 
@@ -144,6 +565,79 @@ router.post('/', async (req, res, next) => {
       })
     }
 
+    let parent = null
+
+    if (value.parentId) {
+      const parents = await db.query('tasks', { where: { id: value.parentId } })
+
+      if (parents.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'Parent task not found'
+        })
+      }
+
+      parent = parents[0]
+
+      if (!can(req.user, 'tasks:update', { resource: parent })) {
+        return res.status(403).json({
+          success: false,
+          error: 'You do not have permission to add subtasks to this task'
+        })
+      }
+
+      // Subtasks belong to the department of their parent
+      value.department = parent.department
+    }
+
+    if (value.assignToDepartment && !value.department) {
+      value.department = value.assignToDepartment
+    }
+
+    // Department heads assign tasks within their own department by default
+    if (isChef(req.user) && !value.department) {
+      value.department = req.user.department
+    }
+
+    let assignees
+
+    if (value.assignToDepartment) {
+      // The department is resolved now, later members are not added to the task
+      assignees = (await getDepartmentMembers(value.assignToDepartment))
+        .filter(member => member.id !== req.user.id)
+
+      if (assignees.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'This department has no active members to assign'
+        })
+      }
+    } else {
+      const assigneeIds = value.assignees || [value.assignedTo]
+      const users = await db.query('users', {
+        filters: [{ column: 'id', operator: 'in', value: assigneeIds }]
+      })
+
+      assignees = assigneeIds.map(userId => users.find(user => user.id === userId && user.is_active))
+
+      if (assignees.some(assignee => !assignee)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Assigned user not found',
+          invalidAssignees: assigneeIds.filter((userId, index) => !assignees[index])
+        })
+      }
+    }
+
+    if (assignees.some(assignee => !can(req.user, 'tasks:create', { data: value, assignee }))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Department heads can only assign tasks to members of their own department'
+      })
+    }
+
+    const assigneeIds = assignees.map(assignee => assignee.id)
+
     // Prepare data for insertion
     const taskData = {
       title: value.title,
@@ -151,8 +645,9 @@ router.post('/', async (req, res, next) => {
       priority: value.priority,
       due_date: value.dueDate,
       category: value.category || null,
-      assigned_by: req.body.assignedBy || 'system', // TODO: Get from auth
-      assigned_to: value.assignedTo,
+      parent_id: parent ? parent.id : null,
+      assigned_by: req.user.id,
+      assigned_to: assigneeIds[0],
       department: value.department || null,
       status: 'pending',
       progress: 0
@@ -166,6 +661,32 @@ router.post('/', async (req, res, next) => {
 
     const task = result[0]
 
+    await db.insert('task_assignees', assigneeIds.map(userId => ({
+      task_id: task.id,
+      user_id: userId
+    })))
+
+    await recordTaskActivity(task.id, [{
+      type: 'created',
+      details: {
+        assignedTo: task.assigned_to,
+        assignees: assigneeIds,
+        ...(value.assignToDepartment && { department: value.assignToDepartment })
+      }
+    }], req.user.id)
+
+    await notifyUsers(assigneeIds.filter(userId => userId !== req.user.id), {
+      type: 'task_assigned',
+      title: `New task: ${task.title}`,
+      message: `${req.user.firstName} ${req.user.lastName} assigned you this task.`,
+      data: { taskId: task.id }
+    })
+
+    // A new open subtask lowers (and may reopen) its parent
+    if (parent) {
+      await refreshTaskProgress(parent.id, req.user.id)
+    }
+
     res.status(201).json({
       success: true,
       message: 'Task created successfully',
@@ -173,6 +694,8 @@ router.post('/', async (req, res, next) => {
         id: task.id,
         title: task.title,
         assignedTo: task.assigned_to,
+        assignees: assigneeIds,
+        parentId: task.parent_id,
         status: task.status,
         priority: task.priority,
         createdAt: task.created_at
@@ -195,7 +718,7 @@ router.put('/:id', async (req, res, next) => {
     const { id } = req.params
 
     // Check if task exists
-    const existingTask = await db.findById('tasks', id)
+    const existingTask = await findTask(id)
     if (!existingTask) {
       return res.status(404).json({
         success: false,
@@ -203,6 +726,43 @@ router.put('/:id', async (req, res, next) => {
       })
     }
 
+    if (!can(req.user, 'tasks:updateProgress', { resource: existingTask })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to update this task'
+      })
+    }
+
+    // Assignees may only report status and progress
+    const editsDetails = ['title', 'description', 'priority', 'dueDate', 'category', 'assignedTo']
+      .some(field => req.body[field] !== undefined)
+
+    if (editsDetails && !can(req.user, 'tasks:update', { resource: existingTask })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Assignees can only update the status and progress of their tasks'
+      })
+    }
+
+    const subtasks = await getSubtasks(id)
+    const checklist = await getChecklist(id)
+    const assignees = await getTaskAssignees(id)
+
+    if (req.body.progress !== undefined && (subtasks.length > 0 || checklist.length > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'The progress of a task with subtasks or checklist items follows from them'
+      })
+    }
+
+    // Each assignee of a shared task reports on their own share
+    if (assignees.length > 1 && ['status', 'progress', 'assignedTo'].some(field => req.body[field] !== undefined)) {
+      return res.status(400).json({
+        success: false,
+        error: 'This task has several assignees, update their shares through /api/tasks/:id/assignees/:userId'
+      })
+    }
+
     // Prepare update data (allow partial updates)
     const updateData = {}
     
@@ -228,9 +788,69 @@ router.put('/:id', async (req, res, next) => {
         }
       }
     }
-    if (req.body.dueDate) updateData.due_date = req.body.dueDate
+    if (req.body.dueDate) {
+      updateData.due_date = req.body.dueDate
+      // A new due date gets its own reminders
+      updateData.due_reminder_sent_at = null
+      updateData.overdue_at = null
+    }
     if (req.body.category) updateData.category = req.body.category
 
+    if (req.body.assignedTo && req.body.assignedTo !== existingTask.assigned_to) {
+      const assignees = await db.query('users', {
+        where: { id: req.body.assignedTo }
+      })
+
+      if (!assignees || assignees.length === 0 || !assignees[0].is_active) {
+        return res.status(400).json({
+          success: false,
+          error: 'Assigned user not found'
+        })
+      }
+
+      if (!can(req.user, 'tasks:reassign', { resource: existingTask, assignee: assignees[0] })) {
+        return res.status(403).json({
+          success: false,
+          error: 'Department heads can only assign tasks to members of their own department'
+        })
+      }
+
+      updateData.assigned_to = req.body.assignedTo
+      updateData.assigned_date = new Date().toISOString()
+    }
+
+    if (updateData.status === 'completed' && existingTask.status !== 'completed') {
+      const completionBlocker = await getCompletionBlockers(id)
+
+      if (completionBlocker) {
+        return res.status(409).json({
+          success: false,
+          error: completionBlocker
+        })
+      }
+    }
+
+    // Reopened: progress comes back from the subtasks and checklist, or starts over
+    if (updateData.status && updateData.status !== 'completed' && existingTask.status === 'completed') {
+      const reopenBlocker = await getReopenBlocker(id)
+
+      if (reopenBlocker) {
+        return res.status(409).json({
+          success: false,
+          error: reopenBlocker
+        })
+      }
+
+      const progress = computeProgress(subtasks, checklist)
+
+      updateData.completed_at = null
+      if (progress !== null) {
+        updateData.progress = progress
+      } else if (updateData.progress === undefined) {
+        updateData.progress = 0
+      }
+    }
+
     const result = await db.update('tasks', id, updateData)
 
     if (!result || result.length === 0) {
@@ -239,6 +859,17 @@ router.put('/:id', async (req, res, next) => {
 
     const task = result[0]
 
+    await syncTaskChange(existingTask, task, assignees, req.user.id)
+
+    if (task.assigned_to !== existingTask.assigned_to) {
+      await notifyUser(task.assigned_to, {
+        type: 'task_assigned',
+        title: `New task: ${task.title}`,
+        message: `${req.user.firstName} ${req.user.lastName} assigned you this task.`,
+        data: { taskId: task.id }
+      })
+    }
+
     res.json({
       success: true,
       message: 'Task updated successfully',
@@ -247,6 +878,8 @@ router.put('/:id', async (req, res, next) => {
         title: task.title,
         status: task.status,
         progress: task.progress,
+        assignedTo: task.assigned_to,
+        dueDate: task.due_date,
         updatedAt: task.updated_at
       }
     })
@@ -265,7 +898,7 @@ router.delete('/:id', async (req, res, next) => {
     const { id } = req.params
 
     // Check if task exists
-    const existingTask = await db.findById('tasks', id)
+    const existingTask = await findTask(id)
     if (!existingTask) {
       return res.status(404).json({
         success: false,
@@ -273,13 +906,32 @@ router.delete('/:id', async (req, res, next) => {
       })
     }
 
+    if (!can(req.user, 'tasks:delete', { resource: existingTask })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to delete this task'
+      })
+    }
+
+    // Deleting a blocker releases the tasks it was holding back
+    const blocked = await db.query('task_dependencies', {
+      select: 'task_id',
+      where: { blocked_by_id: id }
+    })
+
     const success = await db.delete('tasks', id)
 
     if (!success) {
       throw new Error('Failed to delete task')
     }
 
-    res.json({
+    await refreshTaskProgress(existingTask.parent_id, req.user.id)
+
+    for (const dependency of blocked) {
+      await refreshTaskProgress(dependency.task_id, req.user.id)
+    }
+
+    res.json({
       success: true,
       message: 'Task deleted successfully'
     })
@@ -292,4 +944,717 @@ router.delete('/:id', async (req, res, next) => {
   }
 })
 
+// @desc    Move a task on the board: to a status or custom column and a position in it
+// @route   POST /api/tasks/:id/move
+// @access  Admin/Chef/Creator/Assignee
+router.post('/:id/move', async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const { error, value } = taskMoveSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return validationError(res, error)
+    }
+
+    const existingTask = await findTask(id)
+    if (!existingTask) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      })
+    }
+
+    if (!can(req.user, 'tasks:updateProgress', { resource: existingTask })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to update this task'
+      })
+    }
+
+    let status = value.status
+    let columnId = null
+
+    if (value.columnId) {
+      const columns = await db.query('task_board_columns', { where: { id: value.columnId } })
+
+      // Custom columns of another department's board are not on this task's board
+      if (columns.length === 0 || (columns[0].department && columns[0].department !== existingTask.department)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Board column not found'
+        })
+      }
+
+      status = columns[0].status
+      columnId = columns[0].id
+    }
+
+    const assignees = await getTaskAssignees(id)
+
+    if (status !== existingTask.status) {
+      if (assignees.length > 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'This task has several assignees, update their shares through /api/tasks/:id/assignees/:userId'
+        })
+      }
+
+      const blocker = status === 'completed'
+        ? await getCompletionBlockers(id)
+        : existingTask.status === 'completed' && await getReopenBlocker(id)
+
+      if (blocker) {
+        return res.status(409).json({
+          success: false,
+          error: blocker
+        })
+      }
+    }
+
+    const task = await moveTask(id, { status, columnId, position: value.position })
+
+    if (!task) {
+      throw new Error('Failed to move task')
+    }
+
+    await syncTaskChange(existingTask, task, assignees, req.user.id)
+
+    res.json({
+      success: true,
+      message: 'Task moved',
+      data: {
+        id: task.id,
+        status: task.status,
+        columnId: task.board_column_id,
+        position: task.board_position,
+        progress: task.progress,
+        completedAt: task.completed_at
+      }
+    })
+
+  } catch (error) {
+    console.error('Move task error:', error)
+    next(error)
+  }
+})
+
+// @desc    Report the status and progress of one assignee's share of a task
+// @route   PUT /api/tasks/:id/assignees/:userId
+// @access  Admin/Chef/Creator, the assignee for their own share
+router.put('/:id/assignees/:userId', async (req, res, next) => {
+  try {
+    const { id, userId } = req.params
+
+    const { error, value } = taskAssigneeUpdateSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return validationError(res, error)
+    }
+
+    const task = await findTask(id)
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      })
+    }
+
+    const isOwnShare = userId === req.user.id && can(req.user, 'tasks:updateProgress', { resource: task })
+
+    if (!isOwnShare && !can(req.user, 'tasks:update', { resource: task })) {
+      return res.status(403).json({
+        success: false,
+        error: 'Assignees can only update their own share of a task'
+      })
+    }
+
+    const assignees = await getTaskAssignees(id)
+    const assignee = assignees.find(candidate => candidate.user_id === userId)
+
+    if (!assignee) {
+      return res.status(404).json({
+        success: false,
+        error: 'User is not assigned to this task'
+      })
+    }
+
+    if (assignees.length === 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'This task has a single assignee, update it through /api/tasks/:id'
+      })
+    }
+
+    const updateData = {}
+
+    if (value.status) {
+      updateData.status = value.status
+      if (value.status === 'completed') updateData.progress = 100
+    }
+    if (value.progress !== undefined) {
+      updateData.progress = value.progress
+      if (value.progress === 100 && assignee.status !== 'completed') updateData.status = 'completed'
+    }
+    if (updateData.status && updateData.status !== assignee.status) {
+      updateData.completed_at = updateData.status === 'completed' ? new Date().toISOString() : null
+    }
+
+    const result = await db.update('task_assignees', assignee.id, updateData)
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to update assignee')
+    }
+
+    const updated = result[0]
+
+    await recordTaskActivity(id, diffTaskActivity(assignee, updated)
+      .map(entry => ({ ...entry, details: { ...entry.details, userId } })), req.user.id)
+
+    // The task's progress is the average of its assignees' shares
+    await refreshTaskProgress(id, req.user.id)
+
+    res.json({
+      success: true,
+      message: 'Assignee updated',
+      data: formatAssignee(updated)
+    })
+
+  } catch (error) {
+    console.error('Update task assignee error:', error)
+    next(error)
+  }
+})
+
+// @desc    Comment on a task, or reply to a comment with parentId
+// @route   POST /api/tasks/:id/comments
+// @access  Admin/Chef/Creator/Assignee
+router.post('/:id/comments', async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const { error, value } = taskCommentSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return validationError(res, error)
+    }
+
+    const task = await findTask(id)
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      })
+    }
+
+    if (!can(req.user, 'tasks:comment', { resource: task })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to comment on this task'
+      })
+    }
+
+    let parentId = null
+
+    if (value.parentId) {
+      const parent = await findTaskComment(res, id, value.parentId)
+      if (!parent) return
+
+      // Threads are one level deep: replying to a reply continues its thread
+      parentId = parent.parent_id || parent.id
+    }
+
+    const invalidMentions = await findMentionProblems(value.mentions, task)
+
+    if (invalidMentions.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only users who can see this task can be mentioned',
+        invalidMentions
+      })
+    }
+
+    const result = await db.insert('task_comments', {
+      task_id: id,
+      parent_id: parentId,
+      author_id: req.user.id,
+      body: value.body,
+      mentions: value.mentions
+    })
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to create comment')
+    }
+
+    const comment = result[0]
+    const author = `${req.user.firstName} ${req.user.lastName}`
+    const mentioned = value.mentions.filter(userId => userId !== req.user.id)
+
+    await notifyUsers(mentioned, {
+      type: 'task_mention',
+      title: `${author} mentioned you on "${task.title}"`,
+      message: value.body.slice(0, 200),
+      data: { taskId: id, commentId: comment.id }
+    })
+
+    // The creator and assignees follow the discussion on their task
+    await notifyUsers([...new Set([task.assigned_by, task.assigned_to, ...task.assignee_ids])]
+      .filter(userId => userId !== req.user.id && !mentioned.includes(userId)), {
+      type: 'task_comment',
+      title: `${author} commented on "${task.title}"`,
+      message: value.body.slice(0, 200),
+      data: { taskId: id, commentId: comment.id }
+    })
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      data: formatComment(comment)
+    })
+
+  } catch (error) {
+    console.error('Create task comment error:', error)
+    next(error)
+  }
+})
+
+// @desc    Edit my comment on a task
+// @route   PUT /api/tasks/:id/comments/:commentId
+// @access  Comment author
+router.put('/:id/comments/:commentId', async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params
+
+    const { error, value } = taskCommentUpdateSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return validationError(res, error)
+    }
+
+    const task = await findTask(id)
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      })
+    }
+
+    const comment = await findTaskComment(res, id, commentId)
+    if (!comment) return
+
+    if (comment.author_id !== req.user.id || !can(req.user, 'tasks:comment', { resource: task })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only edit your own comments'
+      })
+    }
+
+    const mentions = value.mentions || comment.mentions || []
+    const invalidMentions = value.mentions ? await findMentionProblems(mentions, task) : []
+
+    if (invalidMentions.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Only users who can see this task can be mentioned',
+        invalidMentions
+      })
+    }
+
+    const result = await db.update('task_comments', commentId, {
+      body: value.body,
+      mentions,
+      edited_at: new Date().toISOString()
+    })
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to update comment')
+    }
+
+    // Only people mentioned for the first time are notified
+    const newlyMentioned = mentions
+      .filter(userId => userId !== req.user.id && !(comment.mentions || []).includes(userId))
+
+    await notifyUsers(newlyMentioned, {
+      type: 'task_mention',
+      title: `${req.user.firstName} ${req.user.lastName} mentioned you on "${task.title}"`,
+      message: value.body.slice(0, 200),
+      data: { taskId: id, commentId }
+    })
+
+    res.json({
+      success: true,
+      message: 'Comment updated',
+      data: formatComment(result[0])
+    })
+
+  } catch (error) {
+    console.error('Update task comment error:', error)
+    next(error)
+  }
+})
+
+// @desc    Delete a comment (replies stay in the thread)
+// @route   DELETE /api/tasks/:id/comments/:commentId
+// @access  Comment author/Admin/Chef/Creator
+router.delete('/:id/comments/:commentId', async (req, res, next) => {
+  try {
+    const { id, commentId } = req.params
+
+    const task = await findTask(id)
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      })
+    }
+
+    const comment = await findTaskComment(res, id, commentId)
+    if (!comment) return
+
+    const isAuthor = comment.author_id === req.user.id && can(req.user, 'tasks:comment', { resource: task })
+
+    if (!isAuthor && !can(req.user, 'tasks:moderateComments', { resource: task })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to delete this comment'
+      })
+    }
+
+    const result = await db.update('task_comments', commentId, {
+      deleted_at: new Date().toISOString()
+    })
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to delete comment')
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment deleted'
+    })
+
+  } catch (error) {
+    console.error('Delete task comment error:', error)
+    next(error)
+  }
+})
+
+// @desc    Add an item to a task's checklist
+// @route   POST /api/tasks/:id/checklist
+// @access  Admin/Chef/Assignee
+router.post('/:id/checklist', async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const { error, value } = checklistItemSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return validationError(res, error)
+    }
+
+    const task = await findTask(id)
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      })
+    }
+
+    if (!can(req.user, 'tasks:updateProgress', { resource: task })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to update this task'
+      })
+    }
+
+    // Items go to the end of the list unless placed explicitly
+    const checklist = await getChecklist(id)
+    const position = value.position !== undefined
+      ? value.position
+      : checklist.reduce((last, item) => Math.max(last, item.position + 1), 0)
+
+    const result = await db.insert('task_checklist_items', {
+      task_id: id,
+      title: value.title,
+      position
+    })
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to create checklist item')
+    }
+
+    await refreshTaskProgress(id, req.user.id)
+
+    res.status(201).json({
+      success: true,
+      message: 'Checklist item added',
+      data: formatChecklistItem(result[0])
+    })
+
+  } catch (error) {
+    console.error('Create checklist item error:', error)
+    next(error)
+  }
+})
+
+// @desc    Rename, move or check off a checklist item
+// @route   PUT /api/tasks/:id/checklist/:itemId
+// @access  Admin/Chef/Assignee
+router.put('/:id/checklist/:itemId', async (req, res, next) => {
+  try {
+    const { id, itemId } = req.params
+
+    const { error, value } = checklistItemUpdateSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return validationError(res, error)
+    }
+
+    const task = await findTask(id)
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      })
+    }
+
+    if (!can(req.user, 'tasks:updateProgress', { resource: task })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to update this task'
+      })
+    }
+
+    const item = await findChecklistItem(res, id, itemId)
+    if (!item) return
+
+    const updateData = {}
+
+    if (value.title !== undefined) updateData.title = value.title
+    if (value.position !== undefined) updateData.position = value.position
+    if (value.isDone !== undefined && value.isDone !== item.is_done) {
+      updateData.is_done = value.isDone
+      updateData.done_by = value.isDone ? req.user.id : null
+      updateData.done_at = value.isDone ? new Date().toISOString() : null
+    }
+
+    const result = await db.update('task_checklist_items', itemId, updateData)
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to update checklist item')
+    }
+
+    if (updateData.is_done !== undefined) {
+      await refreshTaskProgress(id, req.user.id)
+    }
+
+    res.json({
+      success: true,
+      message: 'Checklist item updated',
+      data: formatChecklistItem(result[0])
+    })
+
+  } catch (error) {
+    console.error('Update checklist item error:', error)
+    next(error)
+  }
+})
+
+// @desc    Remove an item from a task's checklist
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @access  Admin/Chef/Assignee
+router.delete('/:id/checklist/:itemId', async (req, res, next) => {
+  try {
+    const { id, itemId } = req.params
+
+    const task = await findTask(id)
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      })
+    }
+
+    if (!can(req.user, 'tasks:updateProgress', { resource: task })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to update this task'
+      })
+    }
+
+    const item = await findChecklistItem(res, id, itemId)
+    if (!item) return
+
+    const success = await db.delete('task_checklist_items', itemId)
+
+    if (!success) {
+      throw new Error('Failed to delete checklist item')
+    }
+
+    await refreshTaskProgress(id, req.user.id)
+
+    res.json({
+      success: true,
+      message: 'Checklist item removed'
+    })
+
+  } catch (error) {
+    console.error('Delete checklist item error:', error)
+    next(error)
+  }
+})
+
+// @desc    Mark a task as blocked by another task
+// @route   POST /api/tasks/:id/dependencies
+// @access  Admin/Chef/Creator
+router.post('/:id/dependencies', async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const { error, value } = taskDependencySchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return validationError(res, error)
+    }
+
+    const task = await findTask(id)
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      })
+    }
+
+    if (!can(req.user, 'tasks:update', { resource: task })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to update this task'
+      })
+    }
+
+    const blocker = await findTask(value.blockedBy)
+
+    if (!blocker || !can(req.user, 'tasks:read', { resource: blocker })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Blocking task not found'
+      })
+    }
+
+    if (blocker.id === id || await createsDependencyCycle(id, blocker.id)) {
+      return res.status(409).json({
+        success: false,
+        error: 'This dependency would create a cycle'
+      })
+    }
+
+    try {
+      await db.insert('task_dependencies', {
+        task_id: id,
+        blocked_by_id: blocker.id,
+        created_by: req.user.id
+      })
+    } catch (insertError) {
+      if (insertError.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'Task is already blocked by this task'
+        })
+      }
+      throw insertError
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Dependency added',
+      data: {
+        taskId: id,
+        blockedBy: {
+          id: blocker.id,
+          title: blocker.title,
+          status: blocker.status
+        }
+      }
+    })
+
+  } catch (error) {
+    console.error('Create task dependency error:', error)
+    next(error)
+  }
+})
+
+// @desc    Remove a "blocked by" dependency
+// @route   DELETE /api/tasks/:id/dependencies/:blockedById
+// @access  Admin/Chef/Creator
+router.delete('/:id/dependencies/:blockedById', async (req, res, next) => {
+  try {
+    const { id, blockedById } = req.params
+
+    const task = await findTask(id)
+    if (!task) {
+      return res.status(404).json({
+        success: false,
+        error: 'Task not found'
+      })
+    }
+
+    if (!can(req.user, 'tasks:update', { resource: task })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You do not have permission to update this task'
+      })
+    }
+
+    const dependencies = await db.query('task_dependencies', {
+      where: { task_id: id, blocked_by_id: blockedById }
+    })
+
+    if (dependencies.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dependency not found'
+      })
+    }
+
+    const success = await db.delete('task_dependencies', dependencies[0].id)
+
+    if (!success) {
+      throw new Error('Failed to delete dependency')
+    }
+
+    // The task may have been waiting only on this blocker
+    await refreshTaskProgress(id, req.user.id)
+
+    res.json({
+      success: true,
+      message: 'Dependency removed'
+    })
+
+  } catch (error) {
+    console.error('Delete task dependency error:', error)
+    next(error)
+  }
+})
+
 export default router
\ No newline at end of file
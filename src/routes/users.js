@@ -2,13 +2,16 @@ import express from 'express'
 import { db } from '../config/database.js'
 import { userUpdateSchema } from '../utils/validation.js'
 import { hashPassword, generateSampleUser } from '../utils/userHelpers.js'
+import { authenticate } from '../middleware/auth.js'
+import { authorize } from '../middleware/authorize.js'
+import { can } from '../utils/permissions.js'
 
 const router = express.Router()
 
 // @desc    Get all users
 // @route   GET /api/users
 // @access  Admin
-router.get('/', async (req, res, next) => {
+router.get('/', authenticate, authorize('users:list'), async (req, res, next) => {
   try {
     const { role, department, active, page = 1, limit = 10 } = req.query
 
@@ -73,10 +76,17 @@ router.get('/', async (req, res, next) => {
 // @desc    Get single user by ID
 // @route   GET /api/users/:id
 // @access  Admin/Self
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params
 
+    if (!can(req.user, 'users:read', { resource: { id } })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only view your own profile'
+      })
+    }
+
     const user = await db.findById('users', id)
 
     if (!user) {
@@ -118,10 +128,17 @@ router.get('/:id', async (req, res, next) => {
 // @desc    Update user
 // @route   PUT /api/users/:id
 // @access  Admin/Self
-router.put('/:id', async (req, res, next) => {
+router.put('/:id', authenticate, async (req, res, next) => {
   try {
     const { id } = req.params
 
+    if (!can(req.user, 'users:update', { resource: { id } })) {
+      return res.status(403).json({
+        success: false,
+        error: 'You can only update your own profile'
+      })
+    }
+
     // Check if user exists
     const existingUser = await db.findById('users', id)
     if (!existingUser) {
@@ -148,6 +165,13 @@ router.put('/:id', async (req, res, next) => {
       })
     }
 
+    if (value.department && !can(req.user, 'users:manage')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Only admins can change a member\'s department'
+      })
+    }
+
     // Prepare update data
     const updateData = {}
     if (value.firstName) updateData.first_name = value.firstName
@@ -188,7 +212,7 @@ router.put('/:id', async (req, res, next) => {
 // @desc    Create new user (for development/admin use)
 // @route   POST /api/users
 // @access  Admin
-router.post('/', async (req, res, next) => {
+router.post('/', authenticate, authorize('users:create'), async (req, res, next) => {
   try {
     const { email, password, ...userData } = req.body
 
@@ -255,90 +279,4 @@ router.post('/', async (req, res, next) => {
   }
 })
 
-// @desc    Create sample admin user (quick setup endpoint)
-// @route   POST /api/users/create-admin
-// @access  Public (for development setup)
-router.post('/create-admin', async (req, res, next) => {
-  try {
-    const email = 'adembenabdi@gmail.com'
-    const password = 'adem2018'
-
-    // Check if user already exists
-    const existingUser = await db.query('users', {
-      where: { email }
-    })
-
-    if (existingUser && existingUser.length > 0) {
-      return res.status(409).json({
-        success: false,
-        error: 'Admin user already exists',
-        data: {
-          email: existingUser[0].email,
-          id: existingUser[0].id,
-          role: existingUser[0].role
-        }
-      })
-    }
-
-    // Hash password
-    const hashedPassword = await hashPassword(password)
-
-    // Create admin user data
-    const adminUserData = {
-      email,
-      password_hash: hashedPassword,
-      first_name: 'Adem',
-      last_name: 'Ben Abdi',
-      phone: '+216123456789',
-      telegram_id: '@adembenabdi',
-      discord_id: 'adembenabdi#1234',
-      home_address: '123 Rue de la Liberté, Tunis, Tunisia',
-      student_id: '202331551801',
-      academic_year: '4',
-      field_of_study: 'Computer Science',
-      role: 'admin',
-      department: 'it',
-      is_active: true
-    }
-
-    // Insert admin user
-    const result = await db.insert('users', adminUserData)
-
-    if (!result || result.length === 0) {
-      throw new Error('Failed to create admin user')
-    }
-
-    const user = result[0]
-
-    res.status(201).json({
-      success: true,
-      message: 'Admin user created successfully',
-      data: {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        role: user.role,
-        department: user.department,
-        studentId: user.student_id,
-        phone: user.phone,
-        telegramId: user.telegram_id,
-        discordId: user.discord_id,
-        createdAt: user.created_at
-      },
-      credentials: {
-        email,
-        password: '***hidden***'
-      }
-    })
-
-    console.log(`🔐 Admin user created: ${user.email} (ID: ${user.id})`)
-    console.log(`📧 Login credentials: ${email} / ${password}`)
-
-  } catch (error) {
-    console.error('Create admin user error:', error)
-    next(error)
-  }
-})
-
 export default router
\ No newline at end of file
@@ -0,0 +1,282 @@
+import express from 'express'
+import { db } from '../config/database.js'
+import { venueSchema } from '../utils/validation.js'
+import { authenticate } from '../middleware/auth.js'
+import { authorize } from '../middleware/authorize.js'
+import { getVenueBookings, formatVenue, formatBooking } from '../utils/venues.js'
+
+const router = express.Router()
+
+// All venue routes require an authenticated user
+router.use(authenticate)
+
+const toVenueData = (value) => ({
+  name: value.name,
+  capacity: value.capacity,
+  address: value.address || null,
+  description: value.description || null,
+  is_active: value.isActive
+})
+
+// @desc    Get all venues
+// @route   GET /api/venues
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const { active } = req.query
+
+    const options = {
+      orderBy: { column: 'name', ascending: true }
+    }
+
+    if (active === 'true') {
+      options.where = { is_active: true }
+    }
+
+    const venues = await db.query('venues', options)
+
+    res.json({
+      success: true,
+      count: venues.length,
+      data: venues.map(formatVenue)
+    })
+
+  } catch (error) {
+    console.error('Get venues error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get the bookings of a venue over a date range
+// @route   GET /api/venues/:id/availability?from=&to=
+// @access  Private
+router.get('/:id/availability', async (req, res, next) => {
+  try {
+    const { id } = req.params
+    const from = req.query.from ? new Date(req.query.from) : new Date()
+    const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 7 * 24 * 60 * 60 * 1000)
+
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide a valid range with from before to'
+      })
+    }
+
+    if (to - from > 92 * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({
+        success: false,
+        error: 'The range cannot exceed 3 months'
+      })
+    }
+
+    const venue = await db.findById('venues', id)
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        error: 'Venue not found'
+      })
+    }
+
+    const bookings = await getVenueBookings(id, from, to)
+
+    res.json({
+      success: true,
+      data: {
+        venue: formatVenue(venue),
+        from,
+        to,
+        available: bookings.length === 0,
+        bookings: bookings.map(formatBooking)
+      }
+    })
+
+  } catch (error) {
+    console.error('Get venue availability error:', error)
+    next(error)
+  }
+})
+
+// @desc    Get single venue
+// @route   GET /api/venues/:id
+// @access  Private
+router.get('/:id', async (req, res, next) => {
+  try {
+    const venue = await db.findById('venues', req.params.id)
+
+    if (!venue) {
+      return res.status(404).json({
+        success: false,
+        error: 'Venue not found'
+      })
+    }
+
+    res.json({
+      success: true,
+      data: formatVenue(venue)
+    })
+
+  } catch (error) {
+    console.error('Get venue error:', error)
+    next(error)
+  }
+})
+
+// @desc    Create venue
+// @route   POST /api/venues
+// @access  Admin
+router.post('/', authorize('venues:manage'), async (req, res, next) => {
+  try {
+    const { error, value } = venueSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    let result
+    try {
+      result = await db.insert('venues', toVenueData(value))
+    } catch (insertError) {
+      if (insertError.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'A venue with this name already exists'
+        })
+      }
+      throw insertError
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Venue created successfully',
+      data: formatVenue(result[0])
+    })
+
+    console.log(`New venue created: ${result[0].name} (ID: ${result[0].id})`)
+
+  } catch (error) {
+    console.error('Create venue error:', error)
+    next(error)
+  }
+})
+
+// @desc    Update venue
+// @route   PUT /api/venues/:id
+// @access  Admin
+router.put('/:id', authorize('venues:manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const existingVenue = await db.findById('venues', id)
+    if (!existingVenue) {
+      return res.status(404).json({
+        success: false,
+        error: 'Venue not found'
+      })
+    }
+
+    const { error, value } = venueSchema.validate(req.body, {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      })
+    }
+
+    let result
+    try {
+      result = await db.update('venues', id, toVenueData(value))
+    } catch (updateError) {
+      if (updateError.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          error: 'A venue with this name already exists'
+        })
+      }
+      throw updateError
+    }
+
+    res.json({
+      success: true,
+      message: 'Venue updated successfully',
+      data: formatVenue(result[0])
+    })
+
+  } catch (error) {
+    console.error('Update venue error:', error)
+    next(error)
+  }
+})
+
+// @desc    Delete venue
+// @route   DELETE /api/venues/:id
+// @access  Admin
+router.delete('/:id', authorize('venues:manage'), async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const existingVenue = await db.findById('venues', id)
+    if (!existingVenue) {
+      return res.status(404).json({
+        success: false,
+        error: 'Venue not found'
+      })
+    }
+
+    const events = await db.query('events', {
+      select: 'id',
+      where: { venue_id: id },
+      limit: 1
+    })
+
+    const series = await db.query('event_series', {
+      select: 'id',
+      where: { venue_id: id },
+      limit: 1
+    })
+
+    if (events.length > 0 || series.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Venues used by events cannot be deleted, deactivate the venue instead'
+      })
+    }
+
+    const success = await db.delete('venues', id)
+
+    if (!success) {
+      throw new Error('Failed to delete venue')
+    }
+
+    res.json({
+      success: true,
+      message: 'Venue deleted successfully'
+    })
+
+    console.log(`Venue deleted: ${existingVenue.name} (ID: ${id})`)
+
+  } catch (error) {
+    console.error('Delete venue error:', error)
+    next(error)
+  }
+})
+
+export default router
@@ -0,0 +1,204 @@
+// Bootstrap a fresh Octobit database: apply the schema, seed the default
+// departments and achievements, and create the first admin account.
+//
+// Usage: npm run setup-db
+//
+// The admin is read from ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_FIRST_NAME,
+// ADMIN_LAST_NAME (and optionally ADMIN_DEPARTMENT), or prompted for
+// interactively when they are not set. The script refuses to run once an
+// admin account exists.
+
+import { readFile } from 'fs/promises'
+import readline from 'readline'
+import dotenv from 'dotenv'
+import pg from 'pg'
+import { adminSetupSchema } from '../utils/validation.js'
+import { hashPassword } from '../utils/userHelpers.js'
+
+dotenv.config()
+
+const SCHEMA_FILE = new URL('../../database-structer.sql', import.meta.url)
+
+const DEFAULT_DEPARTMENTS = [
+  ['it', 'IT Department', 'Technology, software development, and digital innovation'],
+  ['events', 'Événementiel', 'Event planning, organization, and management'],
+  ['social-media', 'Social Media', 'Digital marketing, content creation, and online presence'],
+  ['design', 'Design', 'Visual design, graphics, and creative content'],
+  ['extern', 'External Relations', 'Partnerships, sponsorships, and external communications']
+]
+
+const DEFAULT_ACHIEVEMENTS = [
+  ['Premier pas', 'Première tâche complétée', '🏆', { tasks_completed: 1 }],
+  ['Collaborateur', '5 tâches d\'équipe terminées', '🤝', { team_tasks_completed: 5 }],
+  ['Expert', '10 tâches techniques accomplies', '⭐', { technical_tasks_completed: 10 }],
+  ['Mentor', 'Aider 3 collègues', '🎓', { colleagues_helped: 3 }]
+]
+
+const ask = (question, { hidden = false } = {}) => {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true })
+
+  if (hidden) {
+    // Echo the prompt but not the typed characters
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) rl.output.write(text)
+    }
+  }
+
+  return new Promise(resolve => {
+    rl.question(question, answer => {
+      rl.close()
+      if (hidden) process.stdout.write('\n')
+      resolve(answer.trim())
+    })
+  })
+}
+
+const readAdminDetails = async () => {
+  const fromEnv = {
+    email: process.env.ADMIN_EMAIL,
+    password: process.env.ADMIN_PASSWORD,
+    firstName: process.env.ADMIN_FIRST_NAME,
+    lastName: process.env.ADMIN_LAST_NAME,
+    department: process.env.ADMIN_DEPARTMENT
+  }
+
+  if (fromEnv.email && fromEnv.password) {
+    console.log('👤 Using admin details from environment variables')
+    return fromEnv
+  }
+
+  if (!process.stdin.isTTY) {
+    throw new Error('ADMIN_EMAIL and ADMIN_PASSWORD must be set when not running interactively')
+  }
+
+  console.log('👤 Create the first admin account')
+  const details = {
+    email: fromEnv.email || await ask('Email: '),
+    firstName: fromEnv.firstName || await ask('First name: '),
+    lastName: fromEnv.lastName || await ask('Last name: '),
+    department: fromEnv.department || await ask('Department (it, events, social-media, design, extern — optional): '),
+    password: await ask('Password: ', { hidden: true })
+  }
+
+  const confirmation = await ask('Confirm password: ', { hidden: true })
+  if (confirmation !== details.password) {
+    throw new Error('Passwords do not match')
+  }
+
+  return details
+}
+
+const schemaExists = async (client) => {
+  const { rows } = await client.query('SELECT to_regclass(\'public.users\') AS users_table')
+  return rows[0].users_table !== null
+}
+
+const adminExists = async (client) => {
+  const { rows } = await client.query('SELECT 1 FROM users WHERE role = \'admin\' LIMIT 1')
+  return rows.length > 0
+}
+
+const applySchema = async (client) => {
+  const sql = await readFile(SCHEMA_FILE, 'utf8')
+  await client.query(sql)
+  console.log('📐 Database schema applied')
+}
+
+const seedDefaults = async (client) => {
+  for (const [name, displayName, description] of DEFAULT_DEPARTMENTS) {
+    await client.query(
+      `INSERT INTO departments (name, display_name, description)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (name) DO NOTHING`,
+      [name, displayName, description]
+    )
+  }
+
+  for (const [title, description, icon, requirements] of DEFAULT_ACHIEVEMENTS) {
+    await client.query(
+      `INSERT INTO achievements (title, description, icon, requirements)
+       SELECT $1, $2, $3, $4
+       WHERE NOT EXISTS (SELECT 1 FROM achievements WHERE title = $1)`,
+      [title, description, icon, JSON.stringify(requirements)]
+    )
+  }
+
+  console.log('🌱 Default departments and achievements seeded')
+}
+
+const createAdmin = async (client, admin) => {
+  const passwordHash = await hashPassword(admin.password)
+
+  const { rows } = await client.query(
+    `INSERT INTO users (email, password_hash, first_name, last_name, role, department, is_active)
+     VALUES ($1, $2, $3, $4, 'admin', $5, true)
+     RETURNING id, email`,
+    [admin.email, passwordHash, admin.firstName, admin.lastName, admin.department || null]
+  )
+
+  console.log(`🔐 Admin account created: ${rows[0].email} (ID: ${rows[0].id})`)
+}
+
+const main = async () => {
+  if (!process.env.DATABASE_URL) {
+    throw new Error('Missing DATABASE_URL environment variable. Please check your .env file.')
+  }
+
+  const client = new pg.Client({ connectionString: process.env.DATABASE_URL })
+  await client.connect()
+
+  try {
+    const hasSchema = await schemaExists(client)
+
+    if (hasSchema && await adminExists(client)) {
+      console.error('❌ An admin account already exists. The database has already been set up.')
+      process.exitCode = 1
+      return
+    }
+
+    // Collect and validate the admin before touching the database
+    const { error, value: admin } = adminSetupSchema.validate(await readAdminDetails(), {
+      abortEarly: false,
+      stripUnknown: true
+    })
+
+    if (error) {
+      throw new Error(`Invalid admin details: ${error.details.map(detail => detail.message).join(', ')}`)
+    }
+
+    await client.query('BEGIN')
+
+    if (hasSchema) {
+      console.log('📐 Schema already present, skipping')
+    } else {
+      await applySchema(client)
+    }
+
+    await seedDefaults(client)
+
+    // Serialize concurrent runs so only one of them can create the first admin
+    await client.query('LOCK TABLE users IN SHARE ROW EXCLUSIVE MODE')
+
+    if (await adminExists(client)) {
+      await client.query('ROLLBACK')
+      console.error('❌ An admin account already exists. The database has already been set up.')
+      process.exitCode = 1
+      return
+    }
+
+    await createAdmin(client, admin)
+    await client.query('COMMIT')
+
+    console.log('✅ Database setup complete')
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {})
+    throw error
+  } finally {
+    await client.end()
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ Database setup failed: ${error.message}`)
+  process.exit(1)
+})
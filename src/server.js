@@ -7,15 +7,25 @@ import rateLimit from 'express-rate-limit'
 import dotenv from 'dotenv'
 
 // Import routes
+import authRoutes from './routes/auth.js'
 import joinRoutes from './routes/join.js'
+import campaignRoutes from './routes/campaigns.js'
 import eventRoutes from './routes/events.js'
+import eventSeriesRoutes from './routes/eventSeries.js'
 import userRoutes from './routes/users.js'
 import taskRoutes from './routes/tasks.js'
 import announcementRoutes from './routes/announcements.js'
+import notificationRoutes from './routes/notifications.js'
+import feedbackRoutes from './routes/feedback.js'
+import certificateRoutes from './routes/certificates.js'
+import venueRoutes from './routes/venues.js'
+import meRoutes from './routes/me.js'
 
 // Import middleware
 import errorHandler from './middleware/errorHandler.js'
 import notFound from './middleware/notFound.js'
+import { startScheduler, stopScheduler } from './jobs/scheduler.js'
+import { UPLOAD_PATH, isLocalStorage } from './utils/storage.js'
 
 // Load environment variables
 dotenv.config()
@@ -62,6 +72,11 @@ if (process.env.NODE_ENV !== 'test') {
 // Apply rate limiting
 app.use('/api/', limiter)
 
+// Uploaded files kept on local disk
+if (isLocalStorage) {
+  app.use('/uploads', express.static(UPLOAD_PATH, { maxAge: '7d' }))
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({
@@ -73,11 +88,19 @@ app.get('/health', (req, res) => {
 })
 
 // API Routes
+app.use('/api/auth', authRoutes)
 app.use('/api/join', joinRoutes)
+app.use('/api/campaigns', campaignRoutes)
 app.use('/api/events', eventRoutes)
+app.use('/api/event-series', eventSeriesRoutes)
 app.use('/api/users', userRoutes)
 app.use('/api/tasks', taskRoutes)
 app.use('/api/announcements', announcementRoutes)
+app.use('/api/notifications', notificationRoutes)
+app.use('/api/feedback', feedbackRoutes)
+app.use('/api/certificates', certificateRoutes)
+app.use('/api/venues', venueRoutes)
+app.use('/api/me', meRoutes)
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -86,11 +109,19 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
+      auth: '/api/auth',
       join: '/api/join',
+      campaigns: '/api/campaigns',
       events: '/api/events',
+      eventSeries: '/api/event-series',
       users: '/api/users',
       tasks: '/api/tasks',
-      announcements: '/api/announcements'
+      announcements: '/api/announcements',
+      notifications: '/api/notifications',
+      feedback: '/api/feedback',
+      certificates: '/api/certificates',
+      venues: '/api/venues',
+      me: '/api/me'
     }
   })
 })
@@ -105,11 +136,13 @@ const server = app.listen(PORT, () => {
   console.log(`📊 Environment: ${process.env.NODE_ENV}`)
   console.log(`🌐 CORS enabled for: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`)
   console.log(`⚡ Health check: http://localhost:${PORT}/health`)
+  startScheduler()
 })
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully')
+  stopScheduler()
   server.close(() => {
     console.log('Process terminated')
     process.exit(0)
@@ -118,6 +151,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully')
+  stopScheduler()
   server.close(() => {
     console.log('Process terminated')
     process.exit(0)
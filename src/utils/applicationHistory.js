@@ -0,0 +1,29 @@
+import { db } from '../config/database.js'
+
+// Append an entry to an application's timeline. Failures are logged but never
+// block the action that triggered them.
+export const recordApplicationHistory = async (applicationId, type, details = {}, actorId = null) => {
+  try {
+    await db.insert('application_history', {
+      application_id: applicationId,
+      type,
+      details,
+      actor_id: actorId
+    })
+  } catch (error) {
+    console.error(`Failed to record application history (${type}) for ${applicationId}:`, error)
+  }
+}
+
+export const getApplicationHistory = async (applicationId) => {
+  return db.query('application_history', {
+    where: { application_id: applicationId },
+    orderBy: { column: 'created_at', ascending: true }
+  })
+}
+
+export const formatHistoryEntry = (entry) => ({
+  type: entry.type,
+  details: entry.details,
+  at: entry.created_at
+})
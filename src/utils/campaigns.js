@@ -0,0 +1,67 @@
+import { db } from '../config/database.js'
+
+// Campaign accepting applications at the given time, if any
+export const findOpenCampaign = async (at = new Date()) => {
+  const campaigns = await db.query('recruitment_campaigns', {
+    filters: [
+      { column: 'starts_at', operator: 'lte', value: at.toISOString() },
+      { column: 'ends_at', operator: 'gt', value: at.toISOString() }
+    ],
+    orderBy: { column: 'starts_at', ascending: false },
+    limit: 1
+  })
+  return campaigns.length > 0 ? campaigns[0] : null
+}
+
+// Next campaign that has not opened yet, if any
+export const findNextCampaign = async (at = new Date()) => {
+  const campaigns = await db.query('recruitment_campaigns', {
+    filters: [{ column: 'starts_at', operator: 'gt', value: at.toISOString() }],
+    orderBy: { column: 'starts_at', ascending: true },
+    limit: 1
+  })
+  return campaigns.length > 0 ? campaigns[0] : null
+}
+
+// Campaign windows may not overlap, so at most one campaign is open at a time
+export const findOverlappingCampaign = async (startsAt, endsAt, excludeId) => {
+  const campaigns = await db.query('recruitment_campaigns', {
+    filters: [
+      { column: 'starts_at', operator: 'lt', value: new Date(endsAt).toISOString() },
+      { column: 'ends_at', operator: 'gt', value: new Date(startsAt).toISOString() }
+    ]
+  })
+  return campaigns.find(campaign => campaign.id !== excludeId) || null
+}
+
+// Questions asked to an applicant: general ones plus those of their chosen departments
+export const questionsForApplicant = (questions, departments) => {
+  return (questions || []).filter(question => !question.department || departments.includes(question.department))
+}
+
+// Approved applicants per department against the campaign's quotas
+export const getSeatUsage = async (campaign) => {
+  const approved = await db.query('join_applications', {
+    select: 'preferred_department',
+    where: { campaign_id: campaign.id, status: 'approved' }
+  })
+
+  const quotas = campaign.department_quotas || {}
+
+  return Object.fromEntries(Object.entries(quotas).map(([department, quota]) => {
+    const taken = approved.filter(app => app.preferred_department === department).length
+    return [department, { quota, approved: taken, remaining: Math.max(quota - taken, 0) }]
+  }))
+}
+
+export const formatCampaign = (campaign) => ({
+  id: campaign.id,
+  title: campaign.title,
+  description: campaign.description,
+  startsAt: campaign.starts_at,
+  endsAt: campaign.ends_at,
+  departmentQuotas: campaign.department_quotas,
+  questions: campaign.questions,
+  createdAt: campaign.created_at,
+  updatedAt: campaign.updated_at
+})
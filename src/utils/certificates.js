@@ -0,0 +1,150 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import PDFDocument from 'pdfkit'
+import QRCode from 'qrcode'
+import { db } from '../config/database.js'
+import { CLUB_TIMEZONE, getEventStart } from './eventTime.js'
+
+const DEFAULT_TEMPLATE_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '../templates/certificate.json')
+
+// Unambiguous characters only, so codes can be typed from a printout
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+
+// e.g. "K7QM-2XRD-9PWA"
+export const generateVerificationCode = () => {
+  const chars = [...crypto.randomBytes(12)].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+  return [0, 4, 8].map(start => chars.slice(start, start + 4).join('')).join('-')
+}
+
+export const getVerificationUrl = (code) => {
+  const apiUrl = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3001}`
+  return `${apiUrl}/api/certificates/verify/${code}`
+}
+
+// The template is read on every render so it can be edited without a restart
+export const loadCertificateTemplate = () => {
+  const templatePath = process.env.CERTIFICATE_TEMPLATE_PATH || DEFAULT_TEMPLATE_PATH
+  return JSON.parse(fs.readFileSync(templatePath, 'utf8'))
+}
+
+const formatCertificateDate = (date) => {
+  return new Intl.DateTimeFormat('en-GB', { timeZone: CLUB_TIMEZONE, dateStyle: 'long' }).format(new Date(date))
+}
+
+const fillPlaceholders = (text, values) => {
+  return text.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in values ? values[key] : match))
+}
+
+// Certificate of an attended registration, issued on first request
+export const issueCertificate = async (registration, event) => {
+  const existing = await db.query('certificates', { where: { registration_id: registration.id } })
+  if (existing.length > 0) return existing[0]
+
+  const user = await db.findById('users', registration.user_id)
+
+  try {
+    const result = await db.insert('certificates', {
+      registration_id: registration.id,
+      event_id: event.id,
+      user_id: registration.user_id,
+      verification_code: generateVerificationCode(),
+      // Snapshot what is printed, so later edits do not change issued certificates
+      recipient_name: `${user.first_name} ${user.last_name}`,
+      event_title: event.title,
+      event_date: getEventStart(event).toISOString()
+    })
+    return result[0]
+  } catch (error) {
+    // Issued concurrently by another request
+    if (error.code === '23505') {
+      const issued = await db.query('certificates', { where: { registration_id: registration.id } })
+      if (issued.length > 0) return issued[0]
+    }
+    throw error
+  }
+}
+
+// Render a certificate as a PDF buffer
+export const renderCertificate = async (certificate) => {
+  const template = loadCertificateTemplate()
+  const colors = template.colors || {}
+  const values = {
+    name: certificate.recipient_name,
+    eventTitle: certificate.event_title,
+    eventDate: formatCertificateDate(certificate.event_date)
+  }
+
+  const verificationUrl = getVerificationUrl(certificate.verification_code)
+  const qrCode = await QRCode.toBuffer(verificationUrl, { margin: 0, width: 200 })
+
+  const doc = new PDFDocument({
+    size: 'A4',
+    layout: 'landscape',
+    margin: 60,
+    info: {
+      Title: `${template.title} - ${certificate.recipient_name}`,
+      Author: template.organization
+    }
+  })
+
+  const chunks = []
+  doc.on('data', chunk => chunks.push(chunk))
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+  })
+
+  const { width, height } = doc.page
+  const contentWidth = width - 120
+
+  doc.lineWidth(4).strokeColor(colors.primary || '#000').rect(30, 30, width - 60, height - 60).stroke()
+
+  if (template.logoPath && fs.existsSync(template.logoPath)) {
+    doc.image(template.logoPath, width / 2 - 40, 55, { fit: [80, 80] })
+  }
+
+  doc.fillColor(colors.muted || '#555').font('Helvetica').fontSize(14)
+    .text(template.organization, 60, 145, { width: contentWidth, align: 'center' })
+  doc.fillColor(colors.primary || '#000').font('Helvetica-Bold').fontSize(34)
+    .text(template.title, { width: contentWidth, align: 'center' })
+  doc.moveDown(1)
+  doc.fillColor(colors.text || '#000').font('Helvetica').fontSize(16)
+    .text(fillPlaceholders(template.body, values), { width: contentWidth, align: 'center' })
+  doc.moveDown(0.5)
+  doc.font('Helvetica-Bold').fontSize(28)
+    .text(values.name, { width: contentWidth, align: 'center' })
+  doc.moveDown(0.5)
+  doc.font('Helvetica').fontSize(16)
+    .text(fillPlaceholders(template.achievement, values), { width: contentWidth, align: 'center' })
+
+  // The footer sits inside the bottom margin, which would otherwise start a new page
+  doc.page.margins.bottom = 0
+
+  if (template.signatory) {
+    doc.font('Helvetica-Bold').fontSize(13)
+      .text(template.signatory.name, 60, height - 130, { width: 300 })
+    doc.fillColor(colors.muted || '#555').font('Helvetica').fontSize(11)
+      .text(template.signatory.title, { width: 300 })
+  }
+
+  doc.image(qrCode, width - 160, height - 170, { fit: [90, 90] })
+  doc.fillColor(colors.muted || '#555').fontSize(9)
+    .text(`Verification code: ${certificate.verification_code}`, width - 360, height - 70, { width: 290, align: 'right' })
+
+  doc.end()
+
+  return finished
+}
+
+export const formatCertificate = (certificate) => ({
+  id: certificate.id,
+  eventId: certificate.event_id,
+  recipientName: certificate.recipient_name,
+  eventTitle: certificate.event_title,
+  eventDate: certificate.event_date,
+  verificationCode: certificate.verification_code,
+  verificationUrl: getVerificationUrl(certificate.verification_code),
+  issuedAt: certificate.issued_at
+})
@@ -0,0 +1,39 @@
+import crypto from 'crypto'
+
+// Check-in codes are "<registrationId>.<signature>" so they can be printed as
+// QR codes and verified without a lookup table.
+
+const getCheckInSecret = () => {
+  const secret = process.env.CHECKIN_SECRET || process.env.JWT_SECRET
+  if (!secret) {
+    throw new Error('Missing CHECKIN_SECRET or JWT_SECRET environment variable. Please check your .env file.')
+  }
+  return secret
+}
+
+const sign = (registrationId) => {
+  return crypto
+    .createHmac('sha256', getCheckInSecret())
+    .update(`checkin:${registrationId}`)
+    .digest('base64url')
+}
+
+export const createCheckInCode = (registrationId) => {
+  return `${registrationId}.${sign(registrationId)}`
+}
+
+// Registration ID carried by a valid code, or null when the code was tampered with
+export const verifyCheckInCode = (code) => {
+  const [registrationId, signature] = String(code).split('.')
+
+  if (!registrationId || !signature) return null
+
+  const expected = Buffer.from(sign(registrationId))
+  const received = Buffer.from(signature)
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null
+  }
+
+  return registrationId
+}
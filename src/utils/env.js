@@ -0,0 +1,6 @@
+// Integer setting from the environment. Falls back only when the variable is
+// missing or not a number, so 0 can be configured.
+export const intFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name])
+  return Number.isNaN(value) ? fallback : value
+}
@@ -0,0 +1,95 @@
+import { db, supabase } from '../config/database.js'
+import { notifyRegistrants } from './eventRegistrations.js'
+import { formatEventStart } from './eventTime.js'
+import { getRegistrationDeadline } from './eventLifecycle.js'
+
+// Registrations told about cancellations and reschedules
+const AFFECTED_STATUSES = ['registered', 'waitlisted']
+
+const getAffectedRegistrations = async (eventId) => {
+  return db.query('event_registrations', {
+    select: 'user_id, guest_email',
+    where: { event_id: eventId },
+    filters: [{ column: 'status', operator: 'in', value: AFFECTED_STATUSES }]
+  })
+}
+
+const recordEventChange = async (event, changeType, { reason, changedBy, newDate, newTime }) => {
+  const result = await db.insert('event_changes', {
+    event_id: event.id,
+    change_type: changeType,
+    reason,
+    previous_date: event.event_date,
+    previous_time: event.event_time,
+    new_date: newDate || null,
+    new_time: newTime || null,
+    changed_by: changedBy || null
+  })
+  return result[0]
+}
+
+// Cancel an event, keeping its registrations, and tell everyone who registered
+export const cancelEvent = async (event, { reason, changedBy }) => {
+  const result = await db.update('events', event.id, {
+    status: 'cancelled',
+    registration_open: false
+  })
+
+  const change = await recordEventChange(event, 'cancelled', { reason, changedBy })
+
+  await notifyRegistrants(await getAffectedRegistrations(event.id), {
+    type: 'event_cancelled',
+    title: `Cancelled: ${event.title}`,
+    message: reason,
+    data: { eventId: event.id, changeId: change.id }
+  })
+
+  return result[0]
+}
+
+// Move an event and ask registrants to confirm or release their spot
+export const rescheduleEvent = async (event, { eventDate, eventTime, reason, changedBy }) => {
+  const moved = { ...event, event_date: eventDate, event_time: eventTime }
+
+  const result = await db.update('events', event.id, {
+    event_date: eventDate,
+    event_time: eventTime,
+    registration_open: getRegistrationDeadline(moved) > new Date()
+  })
+
+  const { error } = await supabase
+    .from('event_registrations')
+    .update({ reschedule_response: 'pending' })
+    .eq('event_id', event.id)
+    .in('status', AFFECTED_STATUSES)
+
+  if (error) throw error
+
+  const change = await recordEventChange(event, 'rescheduled', {
+    reason,
+    changedBy,
+    newDate: eventDate,
+    newTime: eventTime
+  })
+
+  await notifyRegistrants(await getAffectedRegistrations(event.id), {
+    type: 'event_rescheduled',
+    title: `Rescheduled: ${event.title}`,
+    message: `Moved to ${formatEventStart(moved)}. Reason: ${reason}`,
+    data: { eventId: event.id, changeId: change.id, eventDate, eventTime }
+  })
+
+  return result[0]
+}
+
+export const formatEventChange = (change) => ({
+  id: change.id,
+  type: change.change_type,
+  reason: change.reason,
+  previousDate: change.previous_date,
+  previousTime: change.previous_time,
+  newDate: change.new_date,
+  newTime: change.new_time,
+  changedBy: change.changed_by,
+  createdAt: change.created_at
+})
@@ -0,0 +1,43 @@
+import { getEventStart } from './eventTime.js'
+import { intFromEnv } from './env.js'
+
+// Allowed event status changes. Completed and cancelled events are final.
+export const EVENT_STATUS_TRANSITIONS = {
+  draft: ['active', 'cancelled'],
+  active: ['draft', 'completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+}
+
+export const canTransition = (from, to) => {
+  return from === to || (EVENT_STATUS_TRANSITIONS[from] || []).includes(to)
+}
+
+// Registration closes this many minutes before an event starts
+export const REGISTRATION_CLOSE_MINUTES = intFromEnv('REGISTRATION_CLOSE_MINUTES', 60)
+
+export const getRegistrationDeadline = (event) => {
+  return new Date(getEventStart(event).getTime() - REGISTRATION_CLOSE_MINUTES * 60 * 1000)
+}
+
+// Registered attendees can give their seat back until this many hours before the
+// event starts, so late cancellations do not leave empty seats
+export const CANCELLATION_CUTOFF_HOURS = intFromEnv('CANCELLATION_CUTOFF_HOURS', 24)
+
+export const getCancellationDeadline = (event) => {
+  return new Date(getEventStart(event).getTime() - CANCELLATION_CUTOFF_HOURS * 60 * 60 * 1000)
+}
+
+// Waitlisted and unconfirmed registrations hold no seat and can leave until the start
+export const canCancelRegistration = (registration, event, now = new Date()) => {
+  if (!['pending', 'registered', 'waitlisted'].includes(registration.status)) return false
+  if (registration.status !== 'registered') return now < getEventStart(event)
+  return now < getCancellationDeadline(event)
+}
+
+export const isRegistrationOpen = (event, now = new Date()) => {
+  return event.is_active &&
+    !['completed', 'cancelled'].includes(event.status) &&
+    event.registration_open !== false &&
+    now < getRegistrationDeadline(event)
+}
@@ -0,0 +1,160 @@
+import { db, supabase } from '../config/database.js'
+import { notifyUsers } from './notifications.js'
+import { sendMail } from './mailer.js'
+import { generateOpaqueToken, hashToken } from './tokens.js'
+import { formatEventStart } from './eventTime.js'
+
+export const GUEST_CONFIRMATION_HOURS = parseInt(process.env.GUEST_CONFIRMATION_HOURS) || 48
+
+// Capacity checks run inside Postgres functions that lock the event row, so
+// concurrent requests cannot overbook an event. A trigger keeps
+// events.current_attendees in sync with the registrations.
+
+// Waitlisted registrations, first in line first
+export const getWaitlist = async (eventId) => {
+  return db.query('event_registrations', {
+    where: { event_id: eventId, status: 'waitlisted' },
+    orderBy: { column: 'waitlist_position', ascending: true }
+  })
+}
+
+// Register a user, or waitlist them when the event is full. A cancelled
+// registration is reused; returns null when the user is already registered.
+export const registerForEvent = async (eventId, userId) => {
+  const result = await db.rpc('register_for_event', { p_event_id: eventId, p_user_id: userId })
+  return result.length > 0 ? result[0] : null
+}
+
+// Cancel a user's active registration, returns null when there was none
+export const cancelRegistration = async (eventId, userId) => {
+  const result = await db.rpc('cancel_event_registration', { p_event_id: eventId, p_user_id: userId })
+  return result.length > 0 ? result[0] : null
+}
+
+// Tell registrants about their registration: members get an in-app
+// notification, guests an email
+export const notifyRegistrants = async (registrations, notification) => {
+  await notifyUsers(registrations.map(registration => registration.user_id), notification)
+
+  for (const registration of registrations.filter(registration => !registration.user_id)) {
+    await sendMail({
+      to: registration.guest_email,
+      subject: notification.title,
+      text: notification.message
+    })
+  }
+}
+
+// Move waitlisted registrations into free seats in waitlist order and tell them
+export const promoteFromWaitlist = async (event) => {
+  const promoted = await db.rpc('promote_event_waitlist', { p_event_id: event.id })
+
+  for (const registration of promoted) {
+    await notifyRegistrants([registration], {
+      type: 'event_waitlist_promoted',
+      title: `You're in: ${event.title}`,
+      message: 'A seat opened up and your registration is now confirmed.',
+      data: { eventId: event.id, registrationId: registration.id }
+    })
+  }
+
+  return promoted
+}
+
+// Guests have no account, they confirm and manage their registration through
+// a secret link sent to their email address
+export const findGuestRegistration = async (token) => {
+  const registrations = await db.query('event_registrations', {
+    where: { guest_token_hash: hashToken(token) }
+  })
+  return registrations.length > 0 ? registrations[0] : null
+}
+
+// Email a guest a fresh link to their registration; earlier links stop working.
+// Pending registrations get a confirmation link that expires.
+export const sendGuestLink = async (registration, event) => {
+  const token = generateOpaqueToken(24)
+  const isPending = registration.status === 'pending'
+  const expiresAt = new Date(Date.now() + GUEST_CONFIRMATION_HOURS * 60 * 60 * 1000)
+
+  await db.update('event_registrations', registration.id, {
+    guest_token_hash: hashToken(token),
+    guest_token_expires_at: isPending ? expiresAt.toISOString() : null
+  })
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000'
+  const link = `${frontendUrl}/events/registrations/${token}`
+
+  return sendMail({
+    to: registration.guest_email,
+    subject: isPending ? `Confirm your registration: ${event.title}` : `Your registration: ${event.title}`,
+    text: isPending
+      ? `Hi ${registration.guest_first_name},\n\nConfirm your registration for ${event.title} on ${formatEventStart(event)} within ${GUEST_CONFIRMATION_HOURS} hours:\n${link}\n\nIf you did not register, ignore this email.`
+      : `Hi ${registration.guest_first_name},\n\nView or cancel your registration for ${event.title} on ${formatEventStart(event)}, and get your check-in code:\n${link}`
+  })
+}
+
+// Someone with a member account tried to register as a guest. They are told by
+// email, so the public endpoint never reveals who is a member.
+export const sendMemberLoginHint = async (email, event) => {
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000'
+
+  return sendMail({
+    to: email,
+    subject: `Your registration: ${event.title}`,
+    text: `Hello,\n\nA member account already uses this email address. Log in to register for ${event.title} on ${formatEventStart(event)}:\n${frontendUrl}/events/${event.id}\n\nIf you did not try to register, ignore this email.`
+  })
+}
+
+// Confirm a pending guest registration, returns null when it was not pending
+export const confirmGuestRegistration = async (registrationId) => {
+  const result = await db.rpc('confirm_guest_registration', { p_registration_id: registrationId })
+  return result.length > 0 ? result[0] : null
+}
+
+// Cancel a guest's registration, returns null when there was nothing to cancel
+export const cancelGuestRegistration = async (registrationId) => {
+  const result = await db.rpc('cancel_guest_registration', { p_registration_id: registrationId })
+  return result.length > 0 ? result[0] : null
+}
+
+// Registration as shown to organizers, guests included
+export const formatRegistration = (registration) => ({
+  id: registration.id,
+  userId: registration.user_id,
+  isGuest: !registration.user_id,
+  ...(!registration.user_id && {
+    guest: {
+      firstName: registration.guest_first_name,
+      lastName: registration.guest_last_name,
+      email: registration.guest_email,
+      studentId: registration.guest_student_id
+    },
+    leadApplicationId: registration.lead_application_id
+  }),
+  status: registration.status,
+  waitlistPosition: registration.waitlist_position,
+  rescheduleResponse: registration.reschedule_response,
+  isWalkIn: registration.is_walk_in,
+  checkedInAt: registration.checked_in_at,
+  registeredAt: registration.registration_date
+})
+
+// Mark a registration as attended unless it already is, so a code cannot be used twice
+export const markAttended = async (registrationId, checkedInBy, { walkIn = false } = {}) => {
+  const { data, error } = await supabase
+    .from('event_registrations')
+    .update({
+      status: 'attended',
+      waitlist_position: null,
+      checked_in_at: new Date().toISOString(),
+      checked_in_by: checkedInBy,
+      is_walk_in: walkIn
+    })
+    .eq('id', registrationId)
+    .neq('status', 'attended')
+    .select()
+
+  if (error) throw error
+  return data.length > 0 ? data[0] : null
+}
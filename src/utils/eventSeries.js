@@ -0,0 +1,176 @@
+import { db } from '../config/database.js'
+import { expandRecurrence, formatDay } from './recurrence.js'
+import { zonedTimeToUtc, toClubDate } from './eventTime.js'
+import { canTransition } from './eventLifecycle.js'
+import { cancelEvent, rescheduleEvent } from './eventChanges.js'
+
+// Series columns <-> validated request payload
+export const toSeriesData = (value) => ({
+  title: value.title,
+  description: value.description,
+  event_time: value.eventTime,
+  duration_minutes: value.durationMinutes || null,
+  location: value.location,
+  venue_id: value.venueId || null,
+  max_attendees: value.maxAttendees,
+  category: value.category,
+  difficulty: value.difficulty || null,
+  image_url: value.imageUrl || null,
+  department: value.department || null,
+  frequency: value.recurrence.frequency,
+  repeat_interval: value.recurrence.interval,
+  start_date: formatDay(new Date(value.recurrence.startDate)),
+  until_date: value.recurrence.until ? formatDay(new Date(value.recurrence.until)) : null,
+  occurrence_count: value.recurrence.count || null,
+  exception_dates: value.recurrence.exceptions.map(date => formatDay(new Date(date))),
+  is_active: value.isActive
+})
+
+export const getSeriesRule = (series) => ({
+  frequency: series.frequency,
+  interval: series.repeat_interval,
+  startDate: series.start_date,
+  until: series.until_date,
+  count: series.occurrence_count,
+  exceptions: series.exception_dates
+})
+
+// Fields every occurrence copies from its series
+const occurrenceFields = (series, day) => ({
+  title: series.title,
+  description: series.description,
+  event_date: zonedTimeToUtc(day, series.event_time).toISOString(),
+  event_time: series.event_time,
+  duration_minutes: series.duration_minutes,
+  location: series.location,
+  venue_id: series.venue_id,
+  max_attendees: series.max_attendees,
+  category: series.category,
+  difficulty: series.difficulty,
+  image_url: series.image_url,
+  department: series.department,
+  status: series.is_active ? 'active' : 'draft',
+  is_active: series.is_active
+})
+
+// Occurrences of a series from a given day on, in date order
+export const getOccurrences = async (seriesId, fromDay) => {
+  const options = {
+    where: { series_id: seriesId },
+    orderBy: { column: 'series_date', ascending: true }
+  }
+
+  if (fromDay) {
+    options.filters = [{ column: 'series_date', operator: 'gte', value: fromDay }]
+  }
+
+  return db.query('events', options)
+}
+
+export const today = () => toClubDate(new Date())
+
+// Occurrences the rule produces from `fromDay` on, as they would be stored
+export const plannedOccurrences = (series, fromDay = today()) => {
+  return expandRecurrence(getSeriesRule(series))
+    .filter(day => day >= fromDay)
+    .map(day => occurrenceFields(series, day))
+}
+
+// Bring the occurrences from `fromDay` on in line with the series: create missing
+// days, update the ones that were not edited on their own and drop days the rule
+// no longer produces. Past occurrences are never touched. Registrants of moved or
+// cancelled occurrences are notified on behalf of `changedBy`.
+export const syncOccurrences = async (series, fromDay = today(), changedBy = series.created_by) => {
+  const days = expandRecurrence(getSeriesRule(series)).filter(day => day >= fromDay)
+  const existing = await getOccurrences(series.id, fromDay)
+  const existingDays = new Set(existing.map(event => event.series_date))
+
+  const summary = { created: 0, updated: 0, removed: 0, cancelled: 0 }
+
+  for (const event of existing) {
+    if (!days.includes(event.series_date)) {
+      // Keep occurrences people registered for, but cancel them
+      const registrations = await db.query('event_registrations', {
+        select: 'id',
+        where: { event_id: event.id },
+        limit: 1
+      })
+
+      if (registrations.length > 0) {
+        if (canTransition(event.status, 'cancelled') && event.status !== 'cancelled') {
+          await cancelEvent(event, { reason: 'This date was removed from the series.', changedBy })
+          summary.cancelled++
+        }
+      } else {
+        await db.delete('events', event.id)
+        summary.removed++
+      }
+    } else if (!event.is_series_exception && canTransition(event.status, series.is_active ? 'active' : 'draft')) {
+      const fields = occurrenceFields(series, event.series_date)
+
+      if (new Date(fields.event_date).getTime() !== new Date(event.event_date).getTime()) {
+        await rescheduleEvent(event, {
+          eventDate: fields.event_date,
+          eventTime: fields.event_time,
+          reason: 'The series schedule changed.',
+          changedBy
+        })
+      }
+
+      await db.update('events', event.id, {
+        ...fields,
+        // Keep the publication date of occurrences that were already live
+        ...(series.is_active && !event.activation_date && { activation_date: new Date().toISOString() })
+      })
+      summary.updated++
+    }
+  }
+
+  const newOccurrences = days
+    .filter(day => !existingDays.has(day))
+    .map(day => ({
+      ...occurrenceFields(series, day),
+      series_id: series.id,
+      series_date: day,
+      created_by: series.created_by,
+      activation_date: series.is_active ? new Date().toISOString() : null
+    }))
+
+  if (newOccurrences.length > 0) {
+    await db.insert('events', newOccurrences)
+    summary.created = newOccurrences.length
+  }
+
+  return summary
+}
+
+export const formatSeries = (series) => ({
+  id: series.id,
+  title: series.title,
+  description: series.description,
+  eventTime: series.event_time,
+  durationMinutes: series.duration_minutes,
+  location: series.location,
+  venueId: series.venue_id,
+  maxAttendees: series.max_attendees,
+  category: series.category,
+  difficulty: series.difficulty,
+  imageUrl: series.image_url,
+  department: series.department,
+  recurrence: getSeriesRule(series),
+  isActive: series.is_active,
+  createdAt: series.created_at,
+  updatedAt: series.updated_at
+})
+
+export const formatOccurrence = (event) => ({
+  id: event.id,
+  date: event.series_date,
+  eventDate: event.event_date,
+  eventTime: event.event_time,
+  status: event.status,
+  isActive: event.is_active,
+  isException: event.is_series_exception,
+  currentAttendees: event.current_attendees,
+  maxAttendees: event.max_attendees
+})
@@ -0,0 +1,76 @@
+// Events store their start instant in `event_date` and the local start time
+// ("HH:MM") in `event_time`. The day is read in the club's timezone.
+
+export const CLUB_TIMEZONE = process.env.CLUB_TIMEZONE || 'Africa/Tunis'
+
+// Used when an event does not say how long it lasts
+export const DEFAULT_EVENT_DURATION_MINUTES = 120
+
+const zonedParts = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date)
+
+  return Object.fromEntries(parts
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, parseInt(part.value)]))
+}
+
+// Offset of a timezone from UTC at a given instant, in milliseconds
+const timezoneOffset = (date, timeZone) => {
+  const parts = zonedParts(date, timeZone)
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000
+}
+
+// Calendar day ("YYYY-MM-DD") of an instant in the club timezone
+export const toClubDate = (date, timeZone = CLUB_TIMEZONE) => {
+  const { year, month, day } = zonedParts(new Date(date), timeZone)
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`
+}
+
+// Convert a wall-clock day and time in the club timezone to a UTC Date
+export const zonedTimeToUtc = (day, time, timeZone = CLUB_TIMEZONE) => {
+  const [year, month, date] = day.split('-').map(Number)
+  const [hours, minutes] = time.split(':').map(Number)
+  const wallClock = Date.UTC(year, month - 1, date, hours, minutes)
+
+  // Apply the offset twice so times next to a DST change land on the right side
+  const firstGuess = wallClock - timezoneOffset(new Date(wallClock), timeZone)
+  return new Date(wallClock - timezoneOffset(new Date(firstGuess), timeZone))
+}
+
+// Start instant to store in `event_date`. A plain "YYYY-MM-DD" day is taken
+// as is, a timestamp gives the day it falls on in the club timezone.
+export const toEventStartDate = (eventDate, eventTime, timeZone = CLUB_TIMEZONE) => {
+  const day = typeof eventDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(eventDate)
+    ? eventDate
+    : toClubDate(eventDate, timeZone)
+
+  return zonedTimeToUtc(day, eventTime || '00:00', timeZone).toISOString()
+}
+
+export const getEventStart = (event) => {
+  return zonedTimeToUtc(toClubDate(event.event_date), event.event_time || '00:00')
+}
+
+export const getEventEnd = (event) => {
+  const minutes = event.duration_minutes || DEFAULT_EVENT_DURATION_MINUTES
+  return new Date(getEventStart(event).getTime() + minutes * 60 * 1000)
+}
+
+// Human readable start, e.g. "Saturday 1 March 2025 at 18:30"
+export const formatEventStart = (event) => {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: CLUB_TIMEZONE,
+    dateStyle: 'full',
+    timeStyle: 'short'
+  }).format(getEventStart(event))
+}
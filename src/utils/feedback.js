@@ -0,0 +1,87 @@
+import { getEventEnd } from './eventTime.js'
+import { intFromEnv } from './env.js'
+
+// Feedback stays open this many days after an event ends unless the form says otherwise
+export const FEEDBACK_WINDOW_DAYS = intFromEnv('FEEDBACK_WINDOW_DAYS', 14)
+
+export const getFeedbackDeadline = (event, form) => {
+  if (form && form.closes_at) return new Date(form.closes_at)
+  return new Date(getEventEnd(event).getTime() + FEEDBACK_WINDOW_DAYS * 24 * 60 * 60 * 1000)
+}
+
+const average = (values) => {
+  if (values.length === 0) return null
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100
+}
+
+const countValues = (values) => {
+  return values.reduce((counts, value) => {
+    counts[value] = (counts[value] || 0) + 1
+    return counts
+  }, {})
+}
+
+// Aggregate one custom question across all responses
+const summarizeQuestion = (question, answers) => {
+  const given = answers.filter(answer => answer !== undefined && answer !== null && answer !== '')
+
+  switch (question.type) {
+    case 'number':
+      return { responses: given.length, average: average(given) }
+    case 'boolean':
+      return { responses: given.length, yes: given.filter(Boolean).length, no: given.filter(answer => !answer).length }
+    case 'select':
+      return { responses: given.length, counts: countValues(given) }
+    case 'multiselect':
+      return { responses: given.length, counts: countValues(given.flat()) }
+    default:
+      return { responses: given.length, answers: given }
+  }
+}
+
+// Aggregated results of an event's feedback
+export const summarizeFeedback = (feedback, questions = []) => {
+  const ratings = feedback.map(entry => entry.rating)
+
+  return {
+    responses: feedback.length,
+    averageRating: average(ratings),
+    ratingDistribution: Object.fromEntries([1, 2, 3, 4, 5].map(star => [
+      star,
+      ratings.filter(rating => rating === star).length
+    ])),
+    comments: feedback
+      .filter(entry => entry.comment)
+      .map(entry => ({ rating: entry.rating, comment: entry.comment, createdAt: entry.created_at })),
+    questions: questions.map(question => ({
+      id: question.id,
+      label: question.label,
+      type: question.type,
+      ...summarizeQuestion(question, feedback.map(entry => (entry.answers || {})[question.id]))
+    }))
+  }
+}
+
+// Average rating and response counts grouped by an event field such as category
+export const groupFeedbackTrends = (events, feedback, field) => {
+  const groups = {}
+
+  for (const event of events) {
+    const key = event[field] || 'unspecified'
+    const ratings = feedback.filter(entry => entry.event_id === event.id).map(entry => entry.rating)
+
+    groups[key] = groups[key] || { events: 0, responses: 0, ratings: [] }
+    groups[key].events++
+    groups[key].responses += ratings.length
+    groups[key].ratings.push(...ratings)
+  }
+
+  return Object.entries(groups)
+    .map(([key, group]) => ({
+      [field]: key,
+      events: group.events,
+      responses: group.responses,
+      averageRating: average(group.ratings)
+    }))
+    .sort((a, b) => (b.averageRating || 0) - (a.averageRating || 0))
+}
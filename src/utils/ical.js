@@ -0,0 +1,82 @@
+import { getEventStart, getEventEnd, CLUB_TIMEZONE } from './eventTime.js'
+
+// Minimal RFC 5545 writer for event feeds
+
+const UID_DOMAIN = 'octobit-club'
+
+const escapeText = (value) => {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n')
+}
+
+// 20250301T090000Z
+const formatDateTime = (date) => {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')
+}
+
+// Lines longer than 75 octets are folded onto continuation lines starting with a space
+const foldLine = (line) => {
+  const chunks = []
+  let current = ''
+
+  for (const char of line) {
+    const limit = chunks.length === 0 ? 75 : 74
+    if (Buffer.byteLength(current + char) > limit) {
+      chunks.push(current)
+      current = char
+    } else {
+      current += char
+    }
+  }
+  chunks.push(current)
+
+  return chunks.join('\r\n ')
+}
+
+const buildEvent = (event) => {
+  const lastModified = event.updated_at || event.created_at || new Date()
+
+  return [
+    'BEGIN:VEVENT',
+    // Stable per event so calendar clients update entries instead of duplicating them
+    `UID:event-${event.id}@${UID_DOMAIN}`,
+    `DTSTAMP:${formatDateTime(lastModified)}`,
+    `LAST-MODIFIED:${formatDateTime(lastModified)}`,
+    `SEQUENCE:${Math.floor(new Date(lastModified).getTime() / 1000)}`,
+    `DTSTART:${formatDateTime(getEventStart(event))}`,
+    `DTEND:${formatDateTime(getEventEnd(event))}`,
+    `SUMMARY:${escapeText(event.title)}`,
+    `DESCRIPTION:${escapeText(event.description)}`,
+    `LOCATION:${escapeText(event.location)}`,
+    ...(event.category ? [`CATEGORIES:${escapeText(event.category)}`] : []),
+    `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+    'END:VEVENT'
+  ]
+}
+
+export const buildCalendar = (name, events) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Octobit Scientific Club//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${CLUB_TIMEZONE}`,
+    ...events.flatMap(buildEvent),
+    'END:VCALENDAR'
+  ]
+
+  return lines.map(foldLine).join('\r\n') + '\r\n'
+}
+
+export const sendCalendar = (res, calendar, filename) => {
+  res.set('Content-Type', 'text/calendar; charset=utf-8')
+  if (filename) {
+    res.set('Content-Disposition', `attachment; filename="${filename}"`)
+  }
+  res.send(calendar)
+}
@@ -0,0 +1,33 @@
+import sharp from 'sharp'
+
+// Sizes generated for every uploaded image (width in pixels)
+export const IMAGE_VARIANTS = {
+  thumbnail: 320,
+  web: 1280
+}
+
+// Decode the upload to make sure it really is an image, whatever its declared type
+export const isValidImage = async (buffer) => {
+  try {
+    const metadata = await sharp(buffer).metadata()
+    return ['jpeg', 'png', 'webp'].includes(metadata.format)
+  } catch (error) {
+    return false
+  }
+}
+
+// Resize to every variant as WebP. sharp drops EXIF and other metadata unless
+// asked to keep it, so only the orientation is applied before it is lost.
+export const processImage = async (buffer) => {
+  const variants = {}
+
+  for (const [name, width] of Object.entries(IMAGE_VARIANTS)) {
+    variants[name] = await sharp(buffer)
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer()
+  }
+
+  return variants
+}
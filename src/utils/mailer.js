@@ -0,0 +1,49 @@
+import nodemailer from 'nodemailer'
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Octobit Club <no-reply@octobit.club>'
+
+let transport
+
+// Without SMTP settings there is no transport, see sendMail
+const getTransport = () => {
+  if (!process.env.SMTP_HOST) return null
+
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    })
+  }
+
+  return transport
+}
+
+// Send a plain text email. Failures are logged and reported as false so the
+// caller can decide whether the action still makes sense.
+export const sendMail = async ({ to, subject, text }) => {
+  const mailTransport = getTransport()
+
+  // Bodies carry confirmation links, so only the subject is logged, and only
+  // in development. Anywhere else the email counts as not sent.
+  if (!mailTransport) {
+    if (process.env.NODE_ENV !== 'development') {
+      console.error(`Failed to send email to ${to} (${subject}): SMTP not configured`)
+      return false
+    }
+
+    console.log(`📧 Email to ${to} (SMTP not configured): ${subject}`)
+    return true
+  }
+
+  try {
+    await mailTransport.sendMail({ from: MAIL_FROM, to, subject, text })
+    return true
+  } catch (error) {
+    console.error(`Failed to send email to ${to} (${subject}):`, error)
+    return false
+  }
+}
@@ -0,0 +1,120 @@
+import { db, supabase } from '../config/database.js'
+import { generateOpaqueToken, hashToken } from './tokens.js'
+
+const INVITATION_EXPIRES_HOURS = parseInt(process.env.INVITATION_EXPIRES_HOURS) || 72
+
+const findUserByEmail = async (email) => {
+  const users = await db.query('users', {
+    where: { email: email.toLowerCase() }
+  })
+  return users && users.length > 0 ? users[0] : null
+}
+
+// Create (or reuse) the member account for an approved join application.
+// Returns { user, created }.
+export const provisionMemberFromApplication = async (application) => {
+  if (application.user_id) {
+    const users = await db.query('users', { where: { id: application.user_id } })
+    if (users && users.length > 0) {
+      return { user: users[0], created: false }
+    }
+  }
+
+  const existingUser = await findUserByEmail(application.email)
+  if (existingUser) {
+    return { user: existingUser, created: false }
+  }
+
+  const userData = {
+    email: application.email.toLowerCase(),
+    first_name: application.first_name,
+    last_name: application.last_name,
+    phone: application.phone,
+    telegram_id: application.telegram_id,
+    discord_id: application.discord_id,
+    home_address: application.home_address,
+    academic_year: application.academic_year,
+    field_of_study: application.field_of_study,
+    role: 'membre',
+    department: application.preferred_department,
+    is_active: true
+  }
+
+  try {
+    const result = await db.insert('users', userData)
+
+    if (!result || result.length === 0) {
+      throw new Error('Failed to create member account')
+    }
+
+    return { user: result[0], created: true }
+  } catch (error) {
+    // Another approval of the same application won the race
+    if (error.code === '23505') {
+      const user = await findUserByEmail(application.email)
+      if (user) return { user, created: false }
+    }
+    throw error
+  }
+}
+
+// Issue a one-time invitation token; earlier unused invitations stop working
+export const createInvitation = async (userId, createdBy) => {
+  const { error } = await supabase
+    .from('user_invitations')
+    .update({ expires_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('used_at', null)
+
+  if (error) throw error
+
+  const token = generateOpaqueToken(32)
+  const expiresAt = new Date(Date.now() + INVITATION_EXPIRES_HOURS * 60 * 60 * 1000)
+
+  const result = await db.insert('user_invitations', {
+    user_id: userId,
+    token_hash: hashToken(token),
+    expires_at: expiresAt.toISOString(),
+    created_by: createdBy || null
+  })
+
+  if (!result || result.length === 0) {
+    throw new Error('Failed to create invitation')
+  }
+
+  const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000'
+
+  return {
+    token,
+    url: `${frontendUrl}/invitation/${token}`,
+    expiresAt: result[0].expires_at
+  }
+}
+
+// Look up an unused, unexpired invitation by its token
+export const findValidInvitation = async (token) => {
+  const invitations = await db.query('user_invitations', {
+    where: { token_hash: hashToken(token) }
+  })
+
+  const invitation = invitations && invitations[0]
+
+  if (!invitation || invitation.used_at || new Date(invitation.expires_at) <= new Date()) {
+    return null
+  }
+
+  return invitation
+}
+
+// Mark an invitation as used; only the first caller succeeds
+export const consumeInvitation = async (invitationId) => {
+  const { data, error } = await supabase
+    .from('user_invitations')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', invitationId)
+    .is('used_at', null)
+    .select()
+
+  if (error) throw error
+  return !!data && data.length > 0
+}
@@ -0,0 +1,47 @@
+import { db } from '../config/database.js'
+
+// Send an in-app notification. Failures are logged but never block the
+// action that triggered them.
+export const notifyUser = async (userId, { type, title, message, data = {} }) => {
+  try {
+    await db.insert('notifications', {
+      user_id: userId,
+      type,
+      title,
+      message: message || null,
+      data
+    })
+  } catch (error) {
+    console.error(`Failed to notify user ${userId} (${type}):`, error)
+  }
+}
+
+// Send the same notification to several users
+export const notifyUsers = async (userIds, notification) => {
+  const recipients = [...new Set(userIds.filter(Boolean))]
+
+  if (recipients.length === 0) return
+
+  try {
+    await db.insert('notifications', recipients.map(userId => ({
+      user_id: userId,
+      type: notification.type,
+      title: notification.title,
+      message: notification.message || null,
+      data: notification.data || {}
+    })))
+  } catch (error) {
+    console.error(`Failed to notify ${recipients.length} users (${notification.type}):`, error)
+  }
+}
+
+export const formatNotification = (notification) => ({
+  id: notification.id,
+  type: notification.type,
+  title: notification.title,
+  message: notification.message,
+  data: notification.data,
+  isRead: !!notification.read_at,
+  readAt: notification.read_at,
+  createdAt: notification.created_at
+})
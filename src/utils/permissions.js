@@ -0,0 +1,146 @@
+// Role- and department-scoped access policies.
+// Each policy receives { user, resource, data } where `resource` is the stored record
+// (snake_case) and `data` the validated request payload (camelCase), and returns
+// whether the action is allowed.
+
+export const ROLES = {
+  ADMIN: 'admin',
+  CHEF: 'chef_departement',
+  MEMBER: 'membre'
+}
+
+export const isAdmin = (user) => !!user && user.role === ROLES.ADMIN
+
+export const isChef = (user) => !!user && user.role === ROLES.CHEF
+
+// Department heads only manage records belonging to their own department
+export const isChefOf = (user, department) => {
+  return isChef(user) && !!department && user.department === department
+}
+
+const isSelf = (user, resource) => !!resource && resource.id === user.id
+
+const canManageEvent = ({ user, resource, data }) => {
+  if (isAdmin(user)) return true
+  if (!isChefOf(user, resource.department)) return false
+  // A chef cannot move an event out of their department
+  return !data || !data.department || isChefOf(user, data.department)
+}
+
+// Tasks can have several assignees, loaded into `assignee_ids`
+const isTaskAssignee = (user, resource) => {
+  return resource.assigned_to === user.id || (resource.assignee_ids || []).includes(user.id)
+}
+
+const canManageTask = ({ user, resource }) => {
+  return isAdmin(user) || isChefOf(user, resource.department) || resource.assigned_by === user.id
+}
+
+// Department heads review candidates who applied to their department
+const isChefForApplication = (user, application) => {
+  return isChefOf(user, application.preferred_department) || isChefOf(user, application.secondary_department)
+}
+
+const canReviewApplication = ({ user, resource }) => {
+  return isAdmin(user) || isChefForApplication(user, resource)
+}
+
+const canTargetAnnouncement = (user, data) => {
+  return data.targetAudience === 'department' && isChefOf(user, data.targetDepartment)
+}
+
+const policies = {
+  // Users
+  'users:list': ({ user }) => isAdmin(user),
+  'users:create': ({ user }) => isAdmin(user),
+  'users:read': ({ user, resource }) => isAdmin(user) || isSelf(user, resource),
+  'users:update': ({ user, resource }) => isAdmin(user) || isSelf(user, resource),
+  // Department, role and activation changes are reserved to admins
+  'users:manage': ({ user }) => isAdmin(user),
+
+  // Join applications
+  'join:list': ({ user }) => isAdmin(user) || isChef(user),
+  'join:listAll': ({ user }) => isAdmin(user),
+  'join:read': canReviewApplication,
+  'join:score': canReviewApplication,
+  'join:scheduleInterview': canReviewApplication,
+  'join:rank': ({ user, data }) => isAdmin(user) || isChefOf(user, data && data.department),
+  'join:advance': ({ user }) => isAdmin(user),
+  'join:review': ({ user }) => isAdmin(user),
+  // Guests of an event are recorded as leads by its organizers
+  'join:createLead': canManageEvent,
+
+  // Recruitment campaigns
+  'campaigns:manage': ({ user }) => isAdmin(user),
+
+  // Events
+  'events:viewDrafts': ({ user, data }) => isAdmin(user) || isChefOf(user, data && data.department),
+  'events:create': ({ user, data }) => isAdmin(user) || isChefOf(user, data.department),
+  'events:update': canManageEvent,
+  'events:delete': canManageEvent,
+  'events:viewRegistrations': canManageEvent,
+  'events:checkIn': canManageEvent,
+
+  // Venues
+  'venues:manage': ({ user }) => isAdmin(user),
+
+  // Event feedback
+  'feedback:manage': canManageEvent,
+  'feedback:viewTrends': ({ user, data }) => isAdmin(user) || isChefOf(user, data && data.department),
+
+  // Tasks
+  'tasks:listAll': ({ user }) => isAdmin(user),
+  'tasks:create': ({ user, data, assignee }) => {
+    if (isAdmin(user)) return true
+    return isChefOf(user, data.department) && !!assignee && assignee.department === user.department
+  },
+  'tasks:read': ({ user, resource }) => {
+    return canManageTask({ user, resource }) || isTaskAssignee(user, resource)
+  },
+  // Assignees may only report status and progress on their own tasks
+  'tasks:updateProgress': ({ user, resource }) => {
+    return canManageTask({ user, resource }) || isTaskAssignee(user, resource)
+  },
+  'tasks:update': canManageTask,
+  'tasks:reassign': ({ user, resource, assignee }) => {
+    if (isAdmin(user)) return true
+    return canManageTask({ user, resource }) && !!assignee && isChefOf(user, assignee.department)
+  },
+  'tasks:delete': canManageTask,
+  'tasks:comment': ({ user, resource }) => {
+    return canManageTask({ user, resource }) || isTaskAssignee(user, resource)
+  },
+  // Anyone who manages the task may remove comments, authors edit their own
+  'tasks:moderateComments': canManageTask,
+  // Department boards are for their heads, everyone sees their own board
+  'tasks:viewBoard': ({ user, data }) => {
+    if (isAdmin(user)) return true
+    return data.department ? isChefOf(user, data.department) : data.userId === user.id
+  },
+  // Columns shared by every board are reserved to admins
+  'tasks:manageBoard': ({ user, data }) => isAdmin(user) || isChefOf(user, data.department),
+
+  // Announcements
+  'announcements:create': ({ user, data }) => isAdmin(user) || canTargetAnnouncement(user, data),
+  'announcements:update': ({ user, resource, data }) => {
+    if (isAdmin(user)) return true
+    const ownsExisting = resource.author_id === user.id || isChefOf(user, resource.target_department)
+    return ownsExisting && canTargetAnnouncement(user, data)
+  },
+  'announcements:delete': ({ user, resource }) => {
+    return isAdmin(user) || resource.author_id === user.id || isChefOf(user, resource.target_department)
+  }
+}
+
+// Check whether a user may perform an action
+export const can = (user, action, context = {}) => {
+  const policy = policies[action]
+
+  if (!policy) {
+    throw new Error(`No access policy defined for action "${action}"`)
+  }
+
+  if (!user) return false
+
+  return policy({ user, ...context })
+}
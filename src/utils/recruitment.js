@@ -0,0 +1,74 @@
+// Recruitment pipeline: stages, scoring rubric and rankings
+
+export const PIPELINE_STAGES = ['screening', 'interview', 'deliberation', 'decision']
+
+// Stages in which reviewers can score an application
+export const SCORING_STAGES = ['screening', 'interview', 'deliberation']
+
+// Each criterion is scored from 1 to 5; weights add up to 1
+export const REVIEW_RUBRIC = [
+  { key: 'motivation', label: 'Motivation and commitment', weight: 0.3 },
+  { key: 'skills', label: 'Skills for the department', weight: 0.3 },
+  { key: 'teamwork', label: 'Teamwork and communication', weight: 0.2 },
+  { key: 'availability', label: 'Availability', weight: 0.2 }
+]
+
+// Applications only move forward, one stage at a time
+export const isNextStage = (from, to) => {
+  return PIPELINE_STAGES.indexOf(to) === PIPELINE_STAGES.indexOf(from || 'screening') + 1
+}
+
+// Weighted score out of 5
+export const computeReviewScore = (scores) => {
+  const total = REVIEW_RUBRIC.reduce((sum, { key, weight }) => sum + scores[key] * weight, 0)
+  return Math.round(total * 100) / 100
+}
+
+const average = (values) => {
+  if (values.length === 0) return null
+  return Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 100) / 100
+}
+
+// Summarize reviews of one application: overall and per-stage averages
+export const summarizeReviews = (reviews) => {
+  const byStage = {}
+
+  SCORING_STAGES.forEach(stage => {
+    const stageReviews = reviews.filter(review => review.stage === stage)
+    byStage[stage] = {
+      count: stageReviews.length,
+      averageScore: average(stageReviews.map(review => Number(review.total_score)))
+    }
+  })
+
+  return {
+    reviewCount: reviews.length,
+    averageScore: average(reviews.map(review => Number(review.total_score))),
+    byStage
+  }
+}
+
+// Rank applications by average review score (unscored applications last)
+export const rankApplications = (applications, reviews) => {
+  return applications
+    .map(application => ({
+      application,
+      summary: summarizeReviews(reviews.filter(review => review.application_id === application.id))
+    }))
+    .sort((a, b) => {
+      if (a.summary.averageScore === b.summary.averageScore) {
+        return b.summary.reviewCount - a.summary.reviewCount
+      }
+      if (a.summary.averageScore === null) return 1
+      if (b.summary.averageScore === null) return -1
+      return b.summary.averageScore - a.summary.averageScore
+    })
+    .map((entry, index) => ({ rank: index + 1, ...entry }))
+}
+
+// Whether two [start, start + duration) intervals overlap
+export const slotsOverlap = (startA, durationA, startB, durationB) => {
+  const aStart = new Date(startA).getTime()
+  const bStart = new Date(startB).getTime()
+  return aStart < bStart + durationB * 60000 && bStart < aStart + durationA * 60000
+}
@@ -0,0 +1,56 @@
+// Recurrence rules of event series.
+// A rule is { frequency: 'weekly' | 'monthly', interval, startDate, until | count, exceptions }
+// with days as "YYYY-MM-DD" strings in the club timezone.
+
+// Hard limit on the occurrences one series can generate
+export const MAX_OCCURRENCES = 104
+
+const parseDay = (day) => {
+  const [year, month, date] = day.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, date))
+}
+
+export const formatDay = (date) => date.toISOString().slice(0, 10)
+
+export const addDays = (day, days) => {
+  const date = parseDay(day)
+  date.setUTCDate(date.getUTCDate() + days)
+  return formatDay(date)
+}
+
+// Day of the nth period after the start, or null when a month lacks that day (e.g. the 31st)
+const nthOccurrence = (start, frequency, n) => {
+  if (frequency === 'weekly') {
+    const date = new Date(start)
+    date.setUTCDate(date.getUTCDate() + n * 7)
+    return date
+  }
+
+  const date = new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + n, start.getUTCDate()))
+  return date.getUTCDate() === start.getUTCDate() ? date : null
+}
+
+// All occurrence days of a rule, exceptions excluded
+export const expandRecurrence = (rule) => {
+  const start = parseDay(rule.startDate)
+  const interval = rule.interval || 1
+  const exceptions = new Set(rule.exceptions || [])
+  const days = []
+
+  // Count covers the generated occurrences, exceptions only remove them afterwards
+  let generated = 0
+
+  for (let n = 0; generated < MAX_OCCURRENCES; n += interval) {
+    const date = nthOccurrence(start, rule.frequency, n)
+    if (!date) continue
+
+    const day = formatDay(date)
+    if (rule.until && day > rule.until) break
+    if (rule.count && generated >= rule.count) break
+
+    generated++
+    if (!exceptions.has(day)) days.push(day)
+  }
+
+  return days
+}
@@ -0,0 +1,60 @@
+import fs from 'fs/promises'
+import path from 'path'
+import { supabase } from '../config/database.js'
+
+// File storage for uploads. STORAGE_DRIVER picks the adapter:
+// "local" (default) writes under UPLOAD_PATH and is served at /uploads,
+// "supabase" uses a Supabase Storage bucket.
+
+export const UPLOAD_PATH = path.resolve(process.env.UPLOAD_PATH || 'uploads')
+
+const PUBLIC_API_URL = process.env.PUBLIC_API_URL || `http://localhost:${process.env.PORT || 3001}`
+
+const localStorage = {
+  async save(key, buffer) {
+    const filePath = path.join(UPLOAD_PATH, key)
+    await fs.mkdir(path.dirname(filePath), { recursive: true })
+    await fs.writeFile(filePath, buffer)
+    return `${PUBLIC_API_URL}/uploads/${key}`
+  },
+
+  async remove(keys) {
+    await Promise.all(keys.map(key => fs.rm(path.join(UPLOAD_PATH, key), { force: true })))
+  }
+}
+
+const supabaseStorage = {
+  bucket: process.env.SUPABASE_STORAGE_BUCKET || 'uploads',
+
+  async save(key, buffer, contentType) {
+    const { error } = await supabase.storage
+      .from(this.bucket)
+      .upload(key, buffer, { contentType, upsert: true })
+
+    if (error) throw error
+
+    return supabase.storage.from(this.bucket).getPublicUrl(key).data.publicUrl
+  },
+
+  async remove(keys) {
+    if (keys.length === 0) return
+
+    const { error } = await supabase.storage.from(this.bucket).remove(keys)
+    if (error) throw error
+  }
+}
+
+export const storage = process.env.STORAGE_DRIVER === 'supabase' ? supabaseStorage : localStorage
+
+export const isLocalStorage = storage === localStorage
+
+// Removing files must not fail the request that no longer needs them
+export const removeFiles = async (keys) => {
+  if (!keys || keys.length === 0) return
+
+  try {
+    await storage.remove(keys)
+  } catch (error) {
+    console.error(`Failed to remove stored files ${keys.join(', ')}:`, error)
+  }
+}
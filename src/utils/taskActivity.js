@@ -0,0 +1,55 @@
+import { db } from '../config/database.js'
+
+// Task fields whose changes are logged, with the activity type they produce
+const TRACKED_FIELDS = {
+  status: 'status_changed',
+  progress: 'progress_updated',
+  assigned_to: 'reassigned',
+  due_date: 'due_date_changed'
+}
+
+const sameValue = (field, before, after) => {
+  if (field === 'due_date') {
+    return (before ? new Date(before).getTime() : null) === (after ? new Date(after).getTime() : null)
+  }
+  return before === after
+}
+
+// Append entries to a task's activity log. The task is already saved by
+// then, so a failed insert only costs the log entries.
+export const recordTaskActivity = async (taskId, entries, actorId = null) => {
+  if (entries.length === 0) return
+
+  try {
+    await db.insert('task_activity', entries.map(({ type, details = {} }) => ({
+      task_id: taskId,
+      type,
+      details,
+      actor_id: actorId
+    })))
+  } catch (error) {
+    console.error(`Failed to record task activity for ${taskId}:`, error)
+  }
+}
+
+// Activity entries describing how a task changed between two versions
+export const diffTaskActivity = (before, after) => {
+  return Object.entries(TRACKED_FIELDS)
+    .filter(([field]) => !sameValue(field, before[field], after[field]))
+    .map(([field, type]) => ({ type, details: { from: before[field], to: after[field] } }))
+}
+
+export const getTaskActivity = async (taskId) => {
+  return db.query('task_activity', {
+    where: { task_id: taskId },
+    orderBy: { column: 'created_at', ascending: true }
+  })
+}
+
+export const formatActivityEntry = (entry) => ({
+  id: entry.id,
+  type: entry.type,
+  details: entry.details,
+  actorId: entry.actor_id,
+  at: entry.created_at
+})
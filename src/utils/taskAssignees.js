@@ -0,0 +1,63 @@
+import { db } from '../config/database.js'
+
+export const getTaskAssignees = async (taskId) => {
+  return db.query('task_assignees', {
+    where: { task_id: taskId },
+    orderBy: { column: 'assigned_at', ascending: true }
+  })
+}
+
+// IDs of the tasks a user is one of the assignees of
+export const getAssignedTaskIds = async (userId) => {
+  const assignments = await db.query('task_assignees', {
+    select: 'task_id',
+    where: { user_id: userId }
+  })
+  return assignments.map(assignment => assignment.task_id)
+}
+
+// Load a task along with the IDs of its assignees, which the access
+// policies need to recognize every assignee
+export const findTask = async (taskId) => {
+  const tasks = await db.query('tasks', { where: { id: taskId } })
+
+  if (tasks.length === 0) return null
+
+  const assignees = await getTaskAssignees(taskId)
+
+  return {
+    ...tasks[0],
+    assignee_ids: assignees.map(assignee => assignee.user_id)
+  }
+}
+
+// Active members of a department, for assigning a task to all of them
+export const getDepartmentMembers = async (department) => {
+  return db.query('users', {
+    where: { department, is_active: true },
+    orderBy: { column: 'created_at', ascending: true }
+  })
+}
+
+// How far the assignees of a task have come as a group
+export const summarizeAssignees = (assignees) => {
+  const count = status => assignees.filter(assignee => assignee.status === status).length
+  const totalProgress = assignees
+    .reduce((sum, assignee) => sum + (assignee.status === 'completed' ? 100 : assignee.progress || 0), 0)
+
+  return {
+    total: assignees.length,
+    completed: count('completed'),
+    inProgress: count('in-progress'),
+    pending: count('pending'),
+    averageProgress: assignees.length > 0 ? Math.floor(totalProgress / assignees.length) : 0
+  }
+}
+
+export const formatAssignee = (assignee) => ({
+  userId: assignee.user_id,
+  status: assignee.status,
+  progress: assignee.progress,
+  completedAt: assignee.completed_at,
+  assignedAt: assignee.assigned_at
+})
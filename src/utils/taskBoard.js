@@ -0,0 +1,87 @@
+import { db } from '../config/database.js'
+import { isTaskOverdue } from './taskDeadlines.js'
+
+// Every board starts with one column per task status
+const STATUS_COLUMNS = [
+  { status: 'pending', name: 'To do' },
+  { status: 'in-progress', name: 'In progress' },
+  { status: 'completed', name: 'Done' }
+]
+
+// Custom columns of a department's board, along with the ones every board
+// shares. Without a department only the shared ones apply.
+export const getCustomColumns = async (department = null) => {
+  const columns = await db.query('task_board_columns', {
+    orderBy: { column: 'position', ascending: true }
+  })
+
+  return columns.filter(column => !column.department || column.department === department)
+}
+
+export const formatBoardColumn = (column) => ({
+  id: column.id,
+  name: column.name,
+  status: column.status,
+  department: column.department,
+  position: column.position
+})
+
+// Board columns in order, custom ones right after the column of their status
+export const buildBoardColumns = (customColumns) => {
+  return STATUS_COLUMNS.flatMap(({ status, name }) => [
+    { id: null, name, status, isCustom: false },
+    ...customColumns
+      .filter(column => column.status === status)
+      .map(column => ({ id: column.id, name: column.name, status, isCustom: true }))
+  ])
+}
+
+const formatBoardTask = (task, now) => ({
+  id: task.id,
+  title: task.title,
+  status: task.status,
+  priority: task.priority,
+  progress: task.progress,
+  dueDate: task.due_date,
+  isOverdue: isTaskOverdue(task, now),
+  assignedTo: task.assigned_to,
+  department: task.department,
+  parentId: task.parent_id,
+  position: task.board_position
+})
+
+// Sort tasks into the board columns. A task whose custom column is not on
+// this board, or no longer matches its status, shows in its status column.
+export const buildBoard = (columns, tasks) => {
+  const now = new Date()
+
+  const sorted = [...tasks].sort((a, b) => {
+    return a.board_position - b.board_position || new Date(a.created_at) - new Date(b.created_at)
+  })
+
+  return columns.map(column => {
+    const columnTasks = sorted.filter(task => {
+      if (task.status !== column.status) return false
+      const inCustomColumn = !!task.board_column_id &&
+        columns.some(candidate => candidate.id === task.board_column_id && candidate.status === task.status)
+      return column.isCustom ? inCustomColumn && task.board_column_id === column.id : !inCustomColumn
+    })
+
+    return {
+      ...column,
+      count: columnTasks.length,
+      tasks: columnTasks.map(task => formatBoardTask(task, now))
+    }
+  })
+}
+
+// Move a task to a column and position inside it, atomically in the database
+export const moveTask = async (taskId, { status, columnId = null, position }) => {
+  const result = await db.rpc('move_task', {
+    p_task_id: taskId,
+    p_status: status,
+    p_column_id: columnId,
+    p_position: position
+  })
+  return result.length > 0 ? result[0] : null
+}
@@ -0,0 +1,37 @@
+import { db } from '../config/database.js'
+
+export const getTaskComments = async (taskId) => {
+  return db.query('task_comments', {
+    where: { task_id: taskId },
+    orderBy: { column: 'created_at', ascending: true }
+  })
+}
+
+export const formatComment = (comment) => ({
+  id: comment.id,
+  parentId: comment.parent_id,
+  authorId: comment.author_id,
+  // Deleted comments stay in the thread so their replies keep their context
+  body: comment.deleted_at ? null : comment.body,
+  mentions: comment.deleted_at ? [] : comment.mentions,
+  isDeleted: !!comment.deleted_at,
+  editedAt: comment.edited_at,
+  createdAt: comment.created_at
+})
+
+// Top-level comments in order, each with its replies
+export const buildCommentThreads = (comments) => {
+  const threads = comments
+    .filter(comment => !comment.parent_id)
+    .map(comment => ({ ...formatComment(comment), replies: [] }))
+
+  const threadsById = new Map(threads.map(thread => [thread.id, thread]))
+
+  for (const comment of comments.filter(comment => comment.parent_id && !comment.deleted_at)) {
+    const thread = threadsById.get(comment.parent_id)
+    if (thread) thread.replies.push(formatComment(comment))
+  }
+
+  // Drop deleted comments nobody replied to
+  return threads.filter(thread => !thread.isDeleted || thread.replies.length > 0)
+}
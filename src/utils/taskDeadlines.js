@@ -0,0 +1,22 @@
+import { CLUB_TIMEZONE } from './eventTime.js'
+import { intFromEnv } from './env.js'
+
+// Assignees are reminded this many hours before a task is due
+export const TASK_REMINDER_HOURS = intFromEnv('TASK_REMINDER_HOURS', 24)
+
+// Hour of the day, in the club timezone, from which department heads get
+// their daily digest of overdue tasks
+export const TASK_DIGEST_HOUR = intFromEnv('TASK_DIGEST_HOUR', 8)
+
+export const isTaskOverdue = (task, now = new Date()) => {
+  return task.status !== 'completed' && !!task.due_date && new Date(task.due_date) <= now
+}
+
+// Human readable due date in the club timezone, e.g. "Saturday 1 March 2025 at 18:30"
+export const formatDueDate = (dueDate) => {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: CLUB_TIMEZONE,
+    dateStyle: 'full',
+    timeStyle: 'short'
+  }).format(new Date(dueDate))
+}
@@ -0,0 +1,185 @@
+import { db } from '../config/database.js'
+import { recordTaskActivity, diffTaskActivity } from './taskActivity.js'
+import { findTask, getTaskAssignees } from './taskAssignees.js'
+
+export const getSubtasks = async (taskId) => {
+  return db.query('tasks', {
+    where: { parent_id: taskId },
+    orderBy: { column: 'created_at', ascending: true }
+  })
+}
+
+export const getChecklist = async (taskId) => {
+  return db.query('task_checklist_items', {
+    where: { task_id: taskId },
+    orderBy: { column: 'position', ascending: true }
+  })
+}
+
+// Progress of a task from its subtasks (by their own progress) and checklist
+// items (done or not), each counting the same. Null when it has neither.
+export const computeProgress = (subtasks, checklist) => {
+  const parts = [
+    ...subtasks.map(subtask => (subtask.status === 'completed' ? 1 : (subtask.progress || 0) / 100)),
+    ...checklist.map(item => (item.is_done ? 1 : 0))
+  ]
+
+  if (parts.length === 0) return null
+
+  return Math.floor((parts.reduce((sum, part) => sum + part, 0) / parts.length) * 100)
+}
+
+// Tasks blocking this one that are not completed yet
+export const getOpenBlockers = async (taskId) => {
+  const dependencies = await db.query('task_dependencies', {
+    select: 'blocked_by_id',
+    where: { task_id: taskId }
+  })
+
+  if (dependencies.length === 0) return []
+
+  const blockers = await db.query('tasks', {
+    select: 'id, title, status',
+    filters: [{ column: 'id', operator: 'in', value: dependencies.map(dependency => dependency.blocked_by_id) }]
+  })
+
+  return blockers.filter(blocker => blocker.status !== 'completed')
+}
+
+// Why a task cannot be completed yet, or null when it can
+export const getCompletionBlockers = async (taskId) => {
+  const blockers = await getOpenBlockers(taskId)
+
+  if (blockers.length > 0) {
+    return `Task is blocked by: ${blockers.map(blocker => blocker.title).join(', ')}`
+  }
+
+  const subtasks = await getSubtasks(taskId)
+  const checklist = await getChecklist(taskId)
+
+  if (subtasks.some(subtask => subtask.status !== 'completed') || checklist.some(item => !item.is_done)) {
+    return 'Complete all subtasks and checklist items first'
+  }
+
+  return null
+}
+
+// Why a completed task cannot go back to work, or null when it can. Once all of
+// its subtasks and checklist items are done, a refresh would complete it again.
+export const getReopenBlocker = async (taskId) => {
+  const progress = computeProgress(await getSubtasks(taskId), await getChecklist(taskId))
+
+  if (progress === 100) {
+    return 'All subtasks and checklist items are done, reopen one of them first'
+  }
+
+  return null
+}
+
+// A parent waits for its subtasks, so they count as blockers too. Adding
+// "task blocked by blockedById" closes a cycle when task already blocks
+// blockedById, directly or through other tasks.
+export const createsDependencyCycle = async (taskId, blockedById) => {
+  const visited = new Set()
+  let frontier = [blockedById]
+
+  while (frontier.length > 0) {
+    if (frontier.includes(taskId)) return true
+
+    frontier.forEach(id => visited.add(id))
+
+    const dependencies = await db.query('task_dependencies', {
+      select: 'blocked_by_id',
+      filters: [{ column: 'task_id', operator: 'in', value: frontier }]
+    })
+    const subtasks = await db.query('tasks', {
+      select: 'id',
+      filters: [{ column: 'parent_id', operator: 'in', value: frontier }]
+    })
+
+    frontier = [...new Set([
+      ...dependencies.map(dependency => dependency.blocked_by_id),
+      ...subtasks.map(subtask => subtask.id)
+    ])].filter(id => !visited.has(id))
+  }
+
+  return false
+}
+
+// Tasks waiting on this one may complete themselves once it is done
+export const refreshBlockedTasks = async (taskId, actorId = null) => {
+  const dependencies = await db.query('task_dependencies', {
+    select: 'task_id',
+    where: { blocked_by_id: taskId }
+  })
+
+  for (const dependency of dependencies) {
+    await refreshTaskProgress(dependency.task_id, actorId)
+  }
+}
+
+// Progress of a task shared by several assignees, each share counting the
+// same. Null for tasks with a single assignee.
+const computeSharedProgress = (assignees) => {
+  return assignees.length > 1 ? computeProgress(assignees, []) : null
+}
+
+// Recompute the progress of a task with subtasks or checklist items, or with
+// several assignees, and carry the change up to its ancestors. Reaching 100%
+// completes the task unless it is blocked, dropping below reopens it.
+export const refreshTaskProgress = async (taskId, actorId = null) => {
+  let task = taskId ? await findTask(taskId) : null
+
+  while (task) {
+    let progress = computeProgress(await getSubtasks(task.id), await getChecklist(task.id))
+
+    if (progress === null) {
+      progress = computeSharedProgress(await getTaskAssignees(task.id))
+    }
+
+    if (progress === null) return
+
+    const updateData = { progress }
+
+    if (progress > 0 && progress < 100 && task.status === 'pending') {
+      updateData.status = 'in-progress'
+    } else if (progress === 100 && task.status !== 'completed') {
+      if ((await getOpenBlockers(task.id)).length === 0) {
+        updateData.status = 'completed'
+        updateData.completed_at = new Date().toISOString()
+      }
+    } else if (progress < 100 && task.status === 'completed') {
+      updateData.status = 'in-progress'
+      updateData.completed_at = null
+    }
+
+    if (progress === task.progress && !updateData.status) return
+
+    const result = await db.update('tasks', task.id, updateData)
+    await recordTaskActivity(task.id, diffTaskActivity(task, result[0]), actorId)
+
+    if (updateData.status === 'completed') {
+      await refreshBlockedTasks(task.id, actorId)
+    }
+
+    task = task.parent_id ? await findTask(task.parent_id) : null
+  }
+}
+
+export const formatChecklistItem = (item) => ({
+  id: item.id,
+  title: item.title,
+  position: item.position,
+  isDone: item.is_done,
+  doneBy: item.done_by,
+  doneAt: item.done_at
+})
+
+export const formatSubtask = (subtask) => ({
+  id: subtask.id,
+  title: subtask.title,
+  status: subtask.status,
+  progress: subtask.progress,
+  assignedTo: subtask.assigned_to,
+  dueDate: subtask.due_date
+})
@@ -0,0 +1,140 @@
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { v4 as uuidv4 } from 'uuid'
+import { db, supabase } from '../config/database.js'
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m'
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30
+
+const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('Missing JWT_SECRET environment variable. Please check your .env file.')
+  }
+  return process.env.JWT_SECRET
+}
+
+// Hash an opaque token before storing or looking it up
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+// Generate a random URL-safe token
+export const generateOpaqueToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('base64url')
+}
+
+// Sign a short-lived access token for a user
+export const generateAccessToken = (user) => {
+  return jwt.sign(
+    { sub: user.id, role: user.role, department: user.department },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+  )
+}
+
+// Verify an access token (throws JsonWebTokenError/TokenExpiredError)
+export const verifyAccessToken = (token) => {
+  return jwt.verify(token, getJwtSecret())
+}
+
+// Store a new refresh token and return its plain value
+export const issueRefreshToken = async (userId, { familyId, userAgent, ipAddress } = {}) => {
+  const token = generateOpaqueToken()
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000)
+
+  const result = await db.insert('refresh_tokens', {
+    user_id: userId,
+    token_hash: hashToken(token),
+    family_id: familyId || uuidv4(),
+    expires_at: expiresAt.toISOString(),
+    user_agent: userAgent ? userAgent.slice(0, 255) : null,
+    ip_address: ipAddress || null
+  })
+
+  if (!result || result.length === 0) {
+    throw new Error('Failed to issue refresh token')
+  }
+
+  return { token, record: result[0] }
+}
+
+// Revoke every token issued from the same login
+export const revokeTokenFamily = async (familyId) => {
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('family_id', familyId)
+    .is('revoked_at', null)
+
+  if (error) throw error
+}
+
+// Revoke every refresh token of a user (e.g. after a password change)
+export const revokeUserTokens = async (userId) => {
+  const { error } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+
+  if (error) throw error
+}
+
+// Exchange a refresh token for a new one.
+// Returns null when the token is unknown, expired or already used; presenting a used
+// token revokes the whole family since it means the token has leaked.
+export const rotateRefreshToken = async (token, meta = {}) => {
+  const existing = await db.query('refresh_tokens', {
+    where: { token_hash: hashToken(token) }
+  })
+
+  if (!existing || existing.length === 0) {
+    return null
+  }
+
+  const current = existing[0]
+
+  if (current.revoked_at) {
+    await revokeTokenFamily(current.family_id)
+    console.warn(`Refresh token reuse detected for user ${current.user_id}, session revoked`)
+    return null
+  }
+
+  if (new Date(current.expires_at) <= new Date()) {
+    return null
+  }
+
+  // Only one concurrent request may consume the token
+  const { data: consumed, error } = await supabase
+    .from('refresh_tokens')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('id', current.id)
+    .is('revoked_at', null)
+    .select()
+
+  if (error) throw error
+
+  if (!consumed || consumed.length === 0) {
+    await revokeTokenFamily(current.family_id)
+    return null
+  }
+
+  const next = await issueRefreshToken(current.user_id, { ...meta, familyId: current.family_id })
+  await db.update('refresh_tokens', current.id, { replaced_by: next.record.id })
+
+  return { userId: current.user_id, refreshToken: next.token }
+}
+
+// Revoke the session a refresh token belongs to
+export const revokeRefreshToken = async (token) => {
+  const existing = await db.query('refresh_tokens', {
+    where: { token_hash: hashToken(token) }
+  })
+
+  if (!existing || existing.length === 0) {
+    return false
+  }
+
+  await revokeTokenFamily(existing[0].family_id)
+  return true
+}
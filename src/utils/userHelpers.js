@@ -1,6 +1,5 @@
 import bcrypt from 'bcryptjs'
 import { v4 as uuidv4 } from 'uuid'
-import { db } from '../config/database.js'
 
 // Hash password utility
 export const hashPassword = async (password) => {
@@ -1,4 +1,6 @@
 import Joi from 'joi'
+import { REVIEW_RUBRIC } from './recruitment.js'
+import { MAX_OCCURRENCES } from './recurrence.js'
 
 // Join club application validation
 export const joinApplicationSchema = Joi.object({
@@ -118,7 +120,11 @@ export const joinApplicationSchema = Joi.object({
       'string.empty': 'Motivation is required',
       'string.min': 'Please provide at least 10 characters for your motivation',
       'string.max': 'Motivation cannot exceed 1000 characters'
-    })
+    }),
+
+  // Answers to the open campaign's questions, validated against its definitions
+  answers: Joi.object()
+    .default({})
 })
 
 // Event validation
@@ -163,17 +169,35 @@ export const eventSchema = Joi.object({
       'string.empty': 'Event time is required'
     }),
   
+  // Defaults to the venue name when a venue is booked
   location: Joi.string()
     .trim()
     .min(3)
     .max(255)
-    .required()
+    .when('venueId', { is: Joi.string().required(), otherwise: Joi.required() })
     .messages({
       'string.empty': 'Event location is required',
       'string.min': 'Event location must be at least 3 characters long',
       'string.max': 'Event location cannot exceed 255 characters'
     }),
   
+  venueId: Joi.string()
+    .uuid()
+    .allow(null)
+    .messages({
+      'string.guid': 'Please select a valid venue'
+    }),
+  
+  durationMinutes: Joi.number()
+    .integer()
+    .min(15)
+    .max(24 * 60)
+    .allow(null)
+    .messages({
+      'number.min': 'Duration must be at least 15 minutes',
+      'number.max': 'Duration cannot exceed 24 hours'
+    }),
+  
   maxAttendees: Joi.number()
     .integer()
     .min(1)
@@ -215,6 +239,13 @@ export const eventSchema = Joi.object({
     .allow(null)
     .messages({
       'any.only': 'Please select a valid department'
+    }),
+  
+  activationDate: Joi.date()
+    .iso()
+    .allow(null)
+    .messages({
+      'date.base': 'Please provide a valid activation date'
     })
 })
 
@@ -258,13 +289,89 @@ export const taskSchema = Joi.object({
     .max(100)
     .allow(''),
   
+  // One assignee, several, or every active member of a department
   assignedTo: Joi.string()
-    .uuid()
-    .required(),
+    .uuid(),
+
+  assignees: Joi.array()
+    .items(Joi.string().uuid())
+    .unique()
+    .min(1)
+    .max(100),
+
+  assignToDepartment: Joi.string()
+    .valid('it', 'events', 'social-media', 'design', 'extern'),
   
   department: Joi.string()
     .valid('it', 'events', 'social-media', 'design', 'extern')
+    .allow(null),
+
+  // Makes the new task a subtask of this one
+  parentId: Joi.string()
+    .uuid()
     .allow(null)
+}).xor('assignedTo', 'assignees', 'assignToDepartment')
+
+// Status and progress of one assignee's share of a task
+export const taskAssigneeUpdateSchema = Joi.object({
+  status: Joi.string().valid('pending', 'in-progress', 'completed'),
+  progress: Joi.number().integer().min(0).max(100)
+}).min(1)
+
+// Task checklist validation
+export const checklistItemSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(255).required(),
+  position: Joi.number().integer().min(0)
+})
+
+export const checklistItemUpdateSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(255),
+  position: Joi.number().integer().min(0),
+  isDone: Joi.boolean()
+}).min(1)
+
+export const taskDependencySchema = Joi.object({
+  blockedBy: Joi.string().uuid().required()
+})
+
+// Task board validation: custom columns and moving tasks between columns
+export const boardColumnSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  status: Joi.string().valid('pending', 'in-progress', 'completed').required(),
+  department: Joi.string()
+    .valid('it', 'events', 'social-media', 'design', 'extern')
+    .allow(null),
+  position: Joi.number().integer().min(0).default(0)
+})
+
+export const boardColumnUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  position: Joi.number().integer().min(0)
+}).min(1)
+
+// A task moves to a status column, or to a custom column with columnId
+export const taskMoveSchema = Joi.object({
+  status: Joi.string().valid('pending', 'in-progress', 'completed'),
+  columnId: Joi.string().uuid(),
+  position: Joi.number().integer().min(0).required()
+}).xor('status', 'columnId')
+
+// Task comment validation; mentions are the IDs of the users to notify
+const taskCommentMentions = Joi.array().items(Joi.string().uuid()).unique().max(20)
+
+export const taskCommentSchema = Joi.object({
+  body: Joi.string().trim().min(1).max(5000).required().messages({
+    'string.empty': 'Comment cannot be empty',
+    'string.max': 'Comment cannot exceed 5000 characters'
+  }),
+  parentId: Joi.string().uuid().allow(null),
+  mentions: taskCommentMentions.default([])
+})
+
+// Edits keep the stored mentions unless new ones are given
+export const taskCommentUpdateSchema = taskCommentSchema.keys({
+  parentId: Joi.forbidden(),
+  mentions: taskCommentMentions
 })
 
 // Announcement validation
@@ -297,4 +404,397 @@ export const announcementSchema = Joi.object({
   targetDepartment: Joi.string()
     .valid('it', 'events', 'social-media', 'design', 'extern')
     .allow(null)
-})
\ No newline at end of file
+})
+
+// Login validation
+export const loginSchema = Joi.object({
+  email: Joi.string()
+    .email()
+    .trim()
+    .lowercase()
+    .required()
+    .messages({
+      'string.empty': 'Email is required',
+      'string.email': 'Please provide a valid email address'
+    }),
+
+  password: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Password is required'
+    })
+})
+
+// Refresh token validation (refresh and logout)
+export const refreshTokenSchema = Joi.object({
+  refreshToken: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Refresh token is required'
+    })
+})
+
+// Password rules for new credentials
+export const passwordRule = Joi.string()
+  .min(10)
+  .max(128)
+  .pattern(/[A-Za-z]/, 'letter')
+  .pattern(/[0-9]/, 'digit')
+  .messages({
+    'string.empty': 'Password is required',
+    'string.min': 'Password must be at least 10 characters long',
+    'string.max': 'Password cannot exceed 128 characters',
+    'string.pattern.name': 'Password must contain at least one {#name}'
+  })
+
+// First admin account (setup-db script)
+export const adminSetupSchema = Joi.object({
+  email: Joi.string().email().trim().lowercase().required(),
+  password: passwordRule.required(),
+  firstName: Joi.string().trim().min(2).max(100).required(),
+  lastName: Joi.string().trim().min(2).max(100).required(),
+  department: Joi.string().valid('it', 'events', 'social-media', 'design', 'extern').allow('', null)
+})
+
+// Invitation acceptance validation
+export const acceptInvitationSchema = Joi.object({
+  token: Joi.string()
+    .required()
+    .messages({
+      'string.empty': 'Invitation token is required'
+    }),
+
+  password: passwordRule.required()
+})
+
+// Application review validation (one score per rubric criterion)
+export const applicationReviewSchema = Joi.object({
+  scores: Joi.object(
+    Object.fromEntries(REVIEW_RUBRIC.map(({ key, label }) => [
+      key,
+      Joi.number().integer().min(1).max(5).required().messages({
+        'any.required': `${label} score is required`,
+        'number.base': `${label} score must be a number`,
+        'number.min': `${label} score must be between 1 and 5`,
+        'number.max': `${label} score must be between 1 and 5`
+      })
+    ]))
+  ).required(),
+
+  comment: Joi.string()
+    .trim()
+    .allow('')
+    .max(2000)
+    .messages({
+      'string.max': 'Comment cannot exceed 2000 characters'
+    })
+})
+
+// Interview slot validation
+export const interviewSlotSchema = Joi.object({
+  startsAt: Joi.date()
+    .iso()
+    .min('now')
+    .required()
+    .messages({
+      'date.base': 'Please provide a valid interview date',
+      'date.min': 'Interview must be scheduled in the future',
+      'any.required': 'Interview date is required'
+    }),
+
+  durationMinutes: Joi.number()
+    .integer()
+    .min(10)
+    .max(240)
+    .default(30),
+
+  location: Joi.string()
+    .trim()
+    .allow('')
+    .max(255),
+
+  interviewerId: Joi.string()
+    .uuid()
+})
+
+// Interview slot update validation
+export const interviewSlotUpdateSchema = Joi.object({
+  startsAt: Joi.date().iso().min('now'),
+  durationMinutes: Joi.number().integer().min(10).max(240),
+  location: Joi.string().trim().allow('').max(255),
+  status: Joi.string().valid('scheduled', 'completed', 'cancelled', 'no_show'),
+  notes: Joi.string().trim().allow('').max(2000)
+}).min(1)
+
+// Custom form question definition (campaign forms)
+export const formQuestionSchema = Joi.object({
+  id: Joi.string()
+    .trim()
+    .pattern(/^[a-zA-Z0-9_-]+$/)
+    .max(50)
+    .required()
+    .messages({
+      'string.pattern.base': 'Question id may only contain letters, digits, dashes and underscores'
+    }),
+
+  label: Joi.string().trim().min(2).max(255).required(),
+
+  type: Joi.string()
+    .valid('text', 'textarea', 'url', 'email', 'number', 'select', 'multiselect', 'boolean')
+    .required(),
+
+  required: Joi.boolean().default(false),
+
+  options: Joi.when('type', {
+    is: Joi.valid('select', 'multiselect'),
+    then: Joi.array().items(Joi.string().trim().max(100)).min(1).unique().required(),
+    otherwise: Joi.forbidden()
+  }),
+
+  maxLength: Joi.number().integer().min(1).max(5000),
+
+  helpText: Joi.string().trim().allow('').max(500)
+})
+
+// Recruitment campaign validation
+export const campaignSchema = Joi.object({
+  title: Joi.string()
+    .trim()
+    .min(3)
+    .max(255)
+    .required(),
+
+  description: Joi.string()
+    .trim()
+    .allow('')
+    .max(2000),
+
+  startsAt: Joi.date()
+    .iso()
+    .required()
+    .messages({
+      'date.base': 'Please provide a valid start date'
+    }),
+
+  endsAt: Joi.date()
+    .iso()
+    .greater(Joi.ref('startsAt'))
+    .required()
+    .messages({
+      'date.base': 'Please provide a valid end date',
+      'date.greater': 'End date must be after the start date'
+    }),
+
+  departmentQuotas: Joi.object(
+    Object.fromEntries(['it', 'events', 'social-media', 'design', 'extern'].map(department => [
+      department,
+      Joi.number().integer().min(0).max(500)
+    ]))
+  ).default({}),
+
+  // Department questions are only asked to applicants choosing that department
+  questions: Joi.array()
+    .items(formQuestionSchema.keys({
+      department: Joi.string().valid('it', 'events', 'social-media', 'design', 'extern').allow(null)
+    }))
+    .unique('id')
+    .max(30)
+    .default([])
+    .messages({
+      'array.unique': 'Question ids must be unique'
+    })
+})
+
+const buildAnswerRule = (question) => {
+  let rule
+
+  switch (question.type) {
+    case 'textarea':
+      rule = Joi.string().trim().max(question.maxLength || 2000)
+      break
+    case 'url':
+      rule = Joi.string().trim().uri({ scheme: ['http', 'https'] }).max(question.maxLength || 500)
+      break
+    case 'email':
+      rule = Joi.string().trim().email()
+      break
+    case 'number':
+      rule = Joi.number()
+      break
+    case 'select':
+      rule = Joi.string().valid(...question.options)
+      break
+    case 'multiselect':
+      rule = Joi.array().items(Joi.string().valid(...question.options)).unique()
+      if (question.required) rule = rule.min(1)
+      break
+    case 'boolean':
+      rule = Joi.boolean()
+      break
+    default:
+      rule = Joi.string().trim().max(question.maxLength || 500)
+  }
+
+  rule = rule.label(question.label)
+
+  if (question.required) {
+    return rule.required()
+  }
+
+  return ['number', 'boolean', 'multiselect'].includes(question.type)
+    ? rule.allow(null)
+    : rule.allow('', null)
+}
+
+// Build a validation schema for answers to custom form questions
+export const buildAnswersSchema = (questions) => {
+  return Joi.object(Object.fromEntries(questions.map(question => [question.id, buildAnswerRule(question)])))
+}
+
+// Contact details applicants can correct from the tracking page
+export const applicationContactSchema = Joi.object({
+  phone: Joi.string()
+    .trim()
+    .pattern(/^[\+]?[1-9][\d]{0,15}$/)
+    .messages({
+      'string.pattern.base': 'Please provide a valid phone number'
+    }),
+  telegramId: Joi.string().trim().allow('').max(100),
+  discordId: Joi.string().trim().allow('').max(100),
+  homeAddress: Joi.string().trim().allow('').max(500)
+}).min(1)
+
+// Waitlist reorder validation
+export const waitlistOrderSchema = Joi.object({
+  registrationIds: Joi.array()
+    .items(Joi.string().uuid())
+    .unique()
+    .required()
+    .messages({
+      'array.unique': 'Each registration can only appear once'
+    })
+})
+
+// Guest registration validation (visitors without a member account)
+export const guestRegistrationSchema = Joi.object({
+  firstName: Joi.string().trim().min(2).max(100).required().messages({
+    'string.empty': 'First name is required',
+    'string.min': 'First name must be at least 2 characters long',
+    'string.max': 'First name cannot exceed 100 characters'
+  }),
+  lastName: Joi.string().trim().min(2).max(100).required().messages({
+    'string.empty': 'Last name is required',
+    'string.min': 'Last name must be at least 2 characters long',
+    'string.max': 'Last name cannot exceed 100 characters'
+  }),
+  email: Joi.string().email().trim().lowercase().required().messages({
+    'string.empty': 'Email is required',
+    'string.email': 'Please provide a valid email address'
+  }),
+  studentId: Joi.string().trim().allow('').max(50)
+})
+
+// Event check-in validation: a scanned code, or a member checked in by hand
+export const checkInSchema = Joi.object({
+  code: Joi.string().trim().max(200),
+  userId: Joi.string().uuid()
+}).xor('code', 'userId').messages({
+  'object.xor': 'Provide either a check-in code or a userId',
+  'object.missing': 'Provide either a check-in code or a userId'
+})
+
+// Recurrence rule validation
+export const recurrenceSchema = Joi.object({
+  frequency: Joi.string().valid('weekly', 'monthly').required().messages({
+    'any.only': 'Frequency must be weekly or monthly'
+  }),
+  interval: Joi.number().integer().min(1).max(12).default(1),
+  startDate: Joi.date().iso().min('now').required().messages({
+    'date.min': 'Series must start in the future'
+  }),
+  until: Joi.date().iso().min(Joi.ref('startDate')).messages({
+    'date.min': 'End date must be after the start date'
+  }),
+  count: Joi.number().integer().min(1).max(MAX_OCCURRENCES),
+  exceptions: Joi.array().items(Joi.date().iso()).default([])
+}).xor('until', 'count').messages({
+  'object.xor': 'Provide either an end date (until) or an occurrence count, not both',
+  'object.missing': 'Provide either an end date (until) or an occurrence count'
+})
+
+// Event series validation: the event fields without a date, plus the recurrence rule
+export const eventSeriesSchema = eventSchema.keys({
+  eventDate: Joi.forbidden(),
+  recurrence: recurrenceSchema.required(),
+  isActive: Joi.boolean().default(false)
+})
+
+// Event cancellation validation
+export const eventCancelSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(1000).required().messages({
+    'string.empty': 'A reason is required',
+    'any.required': 'A reason is required'
+  })
+})
+
+// Event reschedule validation
+export const eventRescheduleSchema = Joi.object({
+  eventDate: Joi.date().iso().min('now').required().messages({
+    'date.base': 'Please provide a valid event date',
+    'date.min': 'Event date must be in the future',
+    'any.required': 'Event date is required'
+  }),
+  eventTime: Joi.string().pattern(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/).required().messages({
+    'string.pattern.base': 'Please provide a valid time in HH:MM format',
+    'string.empty': 'Event time is required'
+  }),
+  reason: Joi.string().trim().min(3).max(1000).required().messages({
+    'string.empty': 'A reason is required',
+    'any.required': 'A reason is required'
+  })
+})
+
+// Registrant answer to a reschedule
+export const rescheduleResponseSchema = Joi.object({
+  response: Joi.string().valid('confirm', 'release').required().messages({
+    'any.only': 'Response must be confirm or release'
+  })
+})
+
+// Event feedback form validation
+export const feedbackFormSchema = Joi.object({
+  questions: Joi.array()
+    .items(formQuestionSchema)
+    .unique('id')
+    .max(20)
+    .default([])
+    .messages({
+      'array.unique': 'Question ids must be unique'
+    }),
+  closesAt: Joi.date().iso().allow(null)
+})
+
+// Event feedback validation (answers are checked against the form's questions)
+export const feedbackSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required().messages({
+    'number.min': 'Rating must be between 1 and 5 stars',
+    'number.max': 'Rating must be between 1 and 5 stars',
+    'any.required': 'A rating is required'
+  }),
+  comment: Joi.string().trim().allow('').max(2000),
+  answers: Joi.object().default({})
+})
+
+// Venue validation
+export const venueSchema = Joi.object({
+  name: Joi.string().trim().min(2).max(150).required().messages({
+    'string.empty': 'Venue name is required'
+  }),
+  capacity: Joi.number().integer().min(1).max(10000).required().messages({
+    'number.base': 'Capacity must be a number',
+    'any.required': 'Capacity is required'
+  }),
+  address: Joi.string().trim().allow('').max(255),
+  description: Joi.string().trim().allow('').max(1000),
+  isActive: Joi.boolean().default(true)
+})
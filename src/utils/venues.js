@@ -0,0 +1,85 @@
+import { db } from '../config/database.js'
+import { getEventStart, getEventEnd } from './eventTime.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+export const findVenue = async (venueId) => {
+  const venues = await db.query('venues', { where: { id: venueId } })
+  return venues.length > 0 ? venues[0] : null
+}
+
+// Events holding a venue between two instants, cancelled ones excluded
+export const getVenueBookings = async (venueId, from, to, excludeEventIds = []) => {
+  // Events run up to 24 hours, so one starting the day before can still overlap
+  // the range. Exact end times are compared below.
+  const events = await db.query('events', {
+    where: { venue_id: venueId },
+    filters: [
+      { column: 'status', operator: 'neq', value: 'cancelled' },
+      { column: 'event_date', operator: 'gte', value: new Date(from.getTime() - DAY_MS).toISOString() },
+      { column: 'event_date', operator: 'lt', value: to.toISOString() }
+    ],
+    orderBy: { column: 'event_date', ascending: true }
+  })
+
+  return events
+    .filter(event => !excludeEventIds.includes(event.id))
+    .map(event => ({ event, start: getEventStart(event), end: getEventEnd(event) }))
+    .filter(booking => booking.start < to && booking.end > from)
+    .sort((a, b) => a.start - b.start)
+}
+
+// First booking of the venue overlapping the given event, if any
+export const findVenueConflict = async (venueId, event, excludeEventIds = []) => {
+  const bookings = await getVenueBookings(venueId, getEventStart(event), getEventEnd(event), excludeEventIds)
+  return bookings.length > 0 ? bookings[0] : null
+}
+
+const describeConflict = (venue, booking) => {
+  return `${venue.name} is already booked by "${booking.event.title}" from ${booking.start.toISOString()} to ${booking.end.toISOString()}`
+}
+
+// A booked venue must be in use and free for each of the events. Returns
+// { venue } when it is, or { status, error } to answer the request with.
+export const checkVenueBooking = async (venueId, events, { excludeEventIds = [], allowInactive = false } = {}) => {
+  const venue = await findVenue(venueId)
+
+  if (!venue || (!venue.is_active && !allowInactive)) {
+    return { status: 400, error: 'Venue not found or no longer in use' }
+  }
+
+  for (const event of events) {
+    const conflict = await findVenueConflict(venueId, event, excludeEventIds)
+
+    if (conflict) {
+      return { status: 409, error: describeConflict(venue, conflict) }
+    }
+  }
+
+  return { venue }
+}
+
+// Non-blocking warnings about an event's attendance against its venue
+export const capacityWarnings = (venue, maxAttendees) => {
+  if (!venue || !maxAttendees || maxAttendees <= venue.capacity) return []
+  return [`Maximum attendees (${maxAttendees}) exceeds the capacity of ${venue.name} (${venue.capacity})`]
+}
+
+export const formatVenue = (venue) => ({
+  id: venue.id,
+  name: venue.name,
+  capacity: venue.capacity,
+  address: venue.address,
+  description: venue.description,
+  isActive: venue.is_active,
+  createdAt: venue.created_at,
+  updatedAt: venue.updated_at
+})
+
+export const formatBooking = (booking) => ({
+  eventId: booking.event.id,
+  title: booking.event.title,
+  status: booking.event.status,
+  start: booking.start,
+  end: booking.end
+})